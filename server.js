@@ -2,1198 +2,6026 @@ const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const sqlite3 = require('sqlite3').verbose();
+const pg = require('pg');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 
-const app = express();
-const PORT = process.env.PORT || 3000;
-const ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY || '';
-const COINMARKETCAP_API_KEY = process.env.COINMARKETCAP_API_KEY || '';
-
-// CORS configuration (unchanged)
-app.use(cors({
-  origin: [
-    'https://paycryptv1.vercel.app',
-    'https://admin.paycrypt.org',
-    'https://www.paycrypt.org',
-    'https://paycrypt.org',
-    'http://localhost:5173',
-    'https://miniapp.paycrypt.org',
-    'https://paycrypt-admin-backend.onrender.com',
-    'http://localhost:3000'
-  ]
-}));
-
-// Your margin in Naira
-const MARGIN_NGN = 50;
-
-// Database setup
-const dbPath = path.join(__dirname, 'price_cache.db');
-const db = new sqlite3.Database(dbPath);
-
-// Initialize database
-db.serialize(() => {
-  db.run(`CREATE TABLE IF NOT EXISTS price_cache (
-    token_id TEXT PRIMARY KEY,
-    usd_price REAL,
-    ngn_price REAL,
-    original_ngn REAL,
-    last_updated INTEGER,
-    source TEXT DEFAULT 'coingecko'
-  )`);
-  
-  db.run(`CREATE TABLE IF NOT EXISTS api_metrics (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    endpoint TEXT,
-    status TEXT,
-    timestamp INTEGER,
-    response_time INTEGER,
-    tokens_requested TEXT
-  )`);
-
-  db.run(`CREATE TABLE IF NOT EXISTS fetch_logs (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    timestamp INTEGER,
-    status TEXT,
-    tokens_count INTEGER,
-    error_message TEXT,
-    response_time INTEGER
-  )`);
-});
-
-// In-memory cache for speed
-let memoryCache = {};
-let lastSuccessfulFetch = 0;
-let isFetching = false;
-let fetchAttempts = 0;
-let serverStartTime = Date.now();
-let lastRequestTime = 0;
-let consecutiveFailures = 0;
-let rateLimitedUntil = 0;
-
-// NGN Rate caching
-let cachedNGNRate = null;
-let ngnRateCacheTime = 0;
-const NGN_RATE_CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
-
-// Configuration
-const BACKGROUND_FETCH_INTERVAL = 5 * 60 * 1000; // 5 minutes
-const CACHE_FRESH_DURATION = 10 * 60 * 1000; // 10 minutes (consider fresh)
-const CACHE_STALE_DURATION = 2 * 60 * 60 * 1000; // 2 hours (still usable)
-const MIN_REQUEST_INTERVAL = 2 * 1000; // Minimum 2 seconds between CoinGecko requests (allows ~30 req/min)
-const MAX_RETRIES = 3;
-const INITIAL_RETRY_DELAY = 10 * 1000; // 10 seconds
-
-// Default tokens to always fetch
-const DEFAULT_TOKENS = [
-  'bitcoin', 'ethereum', 'tether', 'usd-coin', 'binancecoin', 
-  'cardano', 'solana', 'polygon', 'chainlink', 'send-token-2',
-  'celo-dollar', 'celo'
-];
-
-// Token symbol mapping for Alchemy API (CoinGecko ID -> Symbol)
-// For Base mainnet tokens, we use contract addresses
-const TOKEN_SYMBOL_MAP = {
-  'bitcoin': 'BTC',
-  'ethereum': 'ETH',
-  'tether': 'USDT',
-  'usd-coin': 'USDC',
-  'binancecoin': 'BNB',
-  'cardano': 'ADA',
-  'solana': 'SOL',
-  'polygon': 'MATIC',
-  'chainlink': 'LINK',
-  'send-token-2': 'SEND',  // SEND token on Base
-  'celo-dollar': 'CUSD',
-  'celo': 'CELO'
-};
+// Open transaction chain per sqlite3 connection (instances sharing a Database share its queue)
+const transactionQueues = new WeakMap();
+// Connections with a transaction between BEGIN and COMMIT/ROLLBACK, and the connection whose
+// transaction the current async call chain belongs to
+const openTransactions = new WeakSet();
+const transactionScope = new AsyncLocalStorage();
 
-// Base mainnet contract addresses for tokens
-const BASE_MAINNET_ADDRESSES = {
-  'SEND': '0xeab49138ba2ea6dd776220fe26b7b8e446638956',
-  'USDC': '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
-  'USDT': '0xfde4c96c8593536e31f229ea8f37b2ada2699bb2'
+// node-postgres returns BIGINT as a string; every BIGINT in the price store is an epoch-ms
+// timestamp or a count, both well inside Number's safe range
+const POSTGRES_TYPES = {
+  getTypeParser: (oid, format) => (oid === pg.types.builtins.INT8 ? Number : pg.types.getTypeParser(oid, format))
 };
 
-// CoinMarketCap token IDs mapping
-const COINMARKETCAP_ID_MAP = {
-  'bitcoin': 1,
-  'ethereum': 1027,
-  'tether': 825,
-  'usd-coin': 3408,
-  'binancecoin': 1839,
-  'cardano': 2010,
-  'solana': 5426,
-  'polygon': 3890,
-  'chainlink': 1975,
-  'send-token-2': 29382,  // SEND token ID on CoinMarketCap
-  'celo-dollar': 5243,
-  'celo': 5567
-};
+// Build an isolated API instance; nothing is fetched, scheduled or served until start().
+//   db        - sqlite3 Database or filename (default: price_cache.db beside this file)
+//   providers - axios-compatible client every provider adapter uses for upstream calls (default: axios)
+//   clock     - { now() } returning epoch milliseconds (default: Date.now)
+//   config    - runtime config layer over defaults, CONFIG_FILE and env (see CONFIG_SCHEMA)
+function createApp(options = {}) {
+  const app = express();
+  const clock = options.clock || { now: () => Date.now() };
+  const upstream = options.providers || axios;
+  
+  const PORT = process.env.PORT || 3000;
+  const ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY || '';
+  const COINMARKETCAP_API_KEY = process.env.COINMARKETCAP_API_KEY || '';
+
+  // CORS configuration (origins are read per request from runtimeConfig.cors_origins)
+  app.use(cors({
+    origin: (origin, callback) => callback(null, !origin || runtimeConfig.cors_origins.includes(origin))
+  }));
+
+  // Default margin rule (flat ₦50 on every token), seeded by migration v14 into an empty margin_rules
+  const DEFAULT_MARGIN_RULE = { token_id: '*', currency: 'ngn', type: 'flat', value: 50 };
+  const MARGIN_RULE_TYPES = ['flat', 'percentage', 'tiered'];
+  // 'default' prices the plain quote; 'buy'/'sell' price on-ramp/off-ramp and fall back to 'default'
+  const MARGIN_SIDES = ['default', 'buy', 'sell'];
+
+  // Accept JSON bodies for admin endpoints
+  app.use(express.json());
+
+  // Requests that arrive on a kept-alive connection during shutdown get it closed afterwards
+  app.use((req, res, next) => {
+    if (stopped) res.set('Connection', 'close');
+    next();
+  });
+
+  // Render terminates TLS in front of the app; req.ip must be the client for per-IP rate limits
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || 1);
+
+  // API key auth, scopes, rate limits and quotas (CORS above is not access control)
+  app.use(authenticateRequest);
+
+  // Database setup (a Database passed in by the caller is left open by stop())
+  const ownsDb = !(options.db instanceof sqlite3.Database);
+  const db = ownsDb ? new sqlite3.Database(options.db || path.join(__dirname, 'price_cache.db')) : options.db;
+
+  // Schema migrations, applied in order at boot and recorded in schema_migrations. Each runs in
+  // its own transaction; never edit one that has shipped, add a new version instead.
+  // Deployments predate schema_migrations and may already hold any prefix of this history,
+  // so the early versions only create what is missing.
+  const MIGRATIONS = [
+    {
+      version: 1,
+      name: 'baseline',
+      up: [
+        `CREATE TABLE IF NOT EXISTS price_cache (
+          token_id TEXT PRIMARY KEY,
+          usd_price REAL,
+          ngn_price REAL,
+          original_ngn REAL,
+          last_updated INTEGER,
+          source TEXT DEFAULT 'coingecko'
+        )`,
+        `CREATE TABLE IF NOT EXISTS api_metrics (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          endpoint TEXT,
+          status TEXT,
+          timestamp INTEGER,
+          response_time INTEGER,
+          tokens_requested TEXT
+        )`,
+        `CREATE TABLE IF NOT EXISTS fetch_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp INTEGER,
+          status TEXT,
+          tokens_count INTEGER,
+          error_message TEXT,
+          response_time INTEGER
+        )`
+      ]
+    },
+    {
+      version: 2,
+      name: 'fiat_price_cache',
+      up: [
+        `CREATE TABLE IF NOT EXISTS fiat_price_cache (
+          token_id TEXT,
+          currency TEXT,
+          price REAL,
+          mid_price REAL,
+          buy_price REAL,
+          sell_price REAL,
+          last_updated INTEGER,
+          PRIMARY KEY (token_id, currency)
+        )`,
+        // The first fiat cache only stored the quoted price
+        () => addColumnIfMissing('fiat_price_cache', 'mid_price', 'REAL'),
+        () => addColumnIfMissing('fiat_price_cache', 'buy_price', 'REAL'),
+        () => addColumnIfMissing('fiat_price_cache', 'sell_price', 'REAL')
+      ]
+    },
+    {
+      version: 3,
+      name: 'margin_rules',
+      up: [
+        `CREATE TABLE IF NOT EXISTS margin_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          token_id TEXT NOT NULL DEFAULT '*',
+          currency TEXT NOT NULL DEFAULT '*',
+          type TEXT NOT NULL,
+          value REAL DEFAULT 0,
+          tiers TEXT,
+          min_margin REAL,
+          max_margin REAL,
+          side TEXT NOT NULL DEFAULT 'default',
+          enabled INTEGER DEFAULT 1,
+          updated_at INTEGER,
+          UNIQUE (token_id, currency, side)
+        )`,
+        // Rules from before buy/sell sides were unique per (token, currency); the constraint
+        // can only change by rebuilding the table
+        async () => {
+          if (await columnExists('margin_rules', 'side')) return;
+          
+          await runSql(`CREATE TABLE margin_rules_sided (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            token_id TEXT NOT NULL DEFAULT '*',
+            currency TEXT NOT NULL DEFAULT '*',
+            type TEXT NOT NULL,
+            value REAL DEFAULT 0,
+            tiers TEXT,
+            min_margin REAL,
+            max_margin REAL,
+            side TEXT NOT NULL DEFAULT 'default',
+            enabled INTEGER DEFAULT 1,
+            updated_at INTEGER,
+            UNIQUE (token_id, currency, side)
+          )`);
+          await runSql(`INSERT INTO margin_rules_sided 
+            (id, token_id, currency, type, value, tiers, min_margin, max_margin, side, enabled, updated_at) 
+            SELECT id, token_id, currency, type, value, tiers, min_margin, max_margin, 'default', enabled, updated_at 
+            FROM margin_rules`);
+          await runSql('DROP TABLE margin_rules');
+          await runSql('ALTER TABLE margin_rules_sided RENAME TO margin_rules');
+        }
+      ]
+    },
+    {
+      version: 4,
+      name: 'price_history',
+      up: [
+        `CREATE TABLE IF NOT EXISTS price_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          token_id TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          source TEXT,
+          usd_price REAL,
+          ngn_price REAL,
+          ngn_mid REAL,
+          ngn_rate REAL,
+          ngn_margin REAL,
+          fiat_prices TEXT
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_price_history_token_time ON price_history (token_id, timestamp)`
+      ]
+    },
+    {
+      version: 5,
+      name: 'token_registry_and_tracked_tokens',
+      up: [
+        `CREATE TABLE IF NOT EXISTS tracked_tokens (
+          token_id TEXT PRIMARY KEY,
+          added_at INTEGER,
+          last_requested_at INTEGER
+        )`,
+        `CREATE TABLE IF NOT EXISTS token_registry (
+          coingecko_id TEXT PRIMARY KEY,
+          symbol TEXT NOT NULL,
+          cmc_id INTEGER,
+          chain_id INTEGER,
+          contract_address TEXT,
+          decimals INTEGER,
+          is_default INTEGER DEFAULT 1,
+          created_at INTEGER,
+          updated_at INTEGER
+        )`
+      ]
+    },
+    {
+      version: 6,
+      name: 'provider_circuits',
+      up: [
+        `CREATE TABLE IF NOT EXISTS provider_circuits (
+          provider TEXT PRIMARY KEY,
+          circuit TEXT,
+          consecutive_failures INTEGER,
+          open_count INTEGER,
+          opened_until INTEGER,
+          last_failure_class TEXT,
+          last_error TEXT,
+          updated_at INTEGER
+        )`
+      ]
+    },
+    {
+      version: 7,
+      name: 'price_guards',
+      up: [
+        `CREATE TABLE IF NOT EXISTS price_guards (
+          token_id TEXT PRIMARY KEY,
+          max_change_percent REAL,
+          peg_target REAL,
+          peg_band_percent REAL,
+          enabled INTEGER DEFAULT 1,
+          updated_at INTEGER
+        )`,
+        `CREATE TABLE IF NOT EXISTS frozen_tokens (
+          token_id TEXT PRIMARY KEY,
+          reason TEXT,
+          observed_price REAL,
+          last_good_price REAL,
+          source TEXT,
+          frozen_at INTEGER
+        )`,
+        `CREATE TABLE IF NOT EXISTS price_alerts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          token_id TEXT,
+          alert_type TEXT,
+          observed_price REAL,
+          reference_price REAL,
+          threshold_percent REAL,
+          source TEXT,
+          message TEXT,
+          created_at INTEGER,
+          released_at INTEGER,
+          released_by TEXT
+        )`
+      ]
+    },
+    {
+      version: 8,
+      name: 'quotes',
+      up: [
+        `CREATE TABLE IF NOT EXISTS quotes (
+          id TEXT PRIMARY KEY,
+          token_id TEXT,
+          currency TEXT,
+          side TEXT,
+          amount REAL,
+          unit_price REAL,
+          mid_price REAL,
+          total REAL,
+          margin REAL,
+          signature TEXT,
+          created_at INTEGER,
+          expires_at INTEGER,
+          consumed_at INTEGER,
+          consumed_by TEXT
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_quotes_expires_at ON quotes (expires_at)`
+      ]
+    },
+    {
+      version: 9,
+      name: 'fx_rates',
+      up: [
+        `CREATE TABLE IF NOT EXISTS fx_rates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          currency TEXT,
+          rate REAL,
+          source TEXT,
+          fetched_at INTEGER
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_fx_rates_currency_time ON fx_rates (currency, fetched_at)`
+      ]
+    },
+    {
+      version: 10,
+      name: 'webhooks',
+      up: [
+        `CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          url TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          events TEXT NOT NULL,
+          token_ids TEXT,
+          change_percent REAL,
+          ngn_levels TEXT,
+          enabled INTEGER DEFAULT 1,
+          created_at INTEGER
+        )`,
+        `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          subscription_id INTEGER,
+          event_id TEXT,
+          event_type TEXT,
+          payload TEXT,
+          status TEXT,
+          attempts INTEGER DEFAULT 0,
+          response_status INTEGER,
+          error TEXT,
+          next_attempt_at INTEGER,
+          created_at INTEGER,
+          delivered_at INTEGER
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)`,
+        `CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          delivery_id INTEGER,
+          subscription_id INTEGER,
+          event_type TEXT,
+          payload TEXT,
+          attempts INTEGER,
+          last_error TEXT,
+          created_at INTEGER
+        )`
+      ]
+    },
+    {
+      version: 11,
+      name: 'api_keys',
+      up: [
+        `CREATE TABLE IF NOT EXISTS api_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          key_prefix TEXT,
+          key_hash TEXT NOT NULL UNIQUE,
+          scopes TEXT NOT NULL,
+          rate_limit_per_minute INTEGER,
+          daily_quota INTEGER,
+          enabled INTEGER DEFAULT 1,
+          created_at INTEGER,
+          last_used_at INTEGER,
+          revoked_at INTEGER
+        )`,
+        () => addColumnIfMissing('api_metrics', 'api_key_id', 'INTEGER'),
+        `CREATE INDEX IF NOT EXISTS idx_api_metrics_key_time ON api_metrics (api_key_id, timestamp)`
+      ]
+    },
+    {
+      version: 12,
+      name: 'runtime_config',
+      up: [
+        `CREATE TABLE IF NOT EXISTS config_overrides (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at INTEGER,
+          updated_by TEXT
+        )`,
+        `CREATE TABLE IF NOT EXISTS config_audit (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          key TEXT NOT NULL,
+          action TEXT NOT NULL,
+          old_value TEXT,
+          new_value TEXT,
+          changed_by TEXT,
+          changed_at INTEGER
+        )`
+      ]
+    },
+    {
+      version: 13,
+      name: 'price_provenance',
+      up: [
+        () => addColumnIfMissing('price_cache', 'fx_source', 'TEXT'),
+        () => addColumnIfMissing('price_cache', 'fx_rate', 'REAL'),
+        () => addColumnIfMissing('price_cache', 'raw_values', 'TEXT'),
+        () => addColumnIfMissing('price_history', 'fx_source', 'TEXT'),
+        () => addColumnIfMissing('price_history', 'raw_values', 'TEXT')
+      ]
+    },
+    {
+      version: 14,
+      name: 'default_margin_rule',
+      up: [
+        // Seeded once; a deployment that later deletes every rule runs without margin
+        () => runSql(`INSERT INTO margin_rules (token_id, currency, type, value, updated_at)
+          SELECT ?, ?, ?, ?, ?
+          WHERE NOT EXISTS (SELECT 1 FROM margin_rules)`,
+          [DEFAULT_MARGIN_RULE.token_id, DEFAULT_MARGIN_RULE.currency, DEFAULT_MARGIN_RULE.type, DEFAULT_MARGIN_RULE.value, clock.now()])
+      ]
+    }
+  ];
+
+  // Every write on the connection goes through here (same arguments as db.run). Statements from a
+  // transaction's own work run at once; any other write waits until no transaction is open, or it
+  // would land inside that transaction and be rolled back with it
+  function runWrite(sql, ...args) {
+    if (openTransactions.has(db) && transactionScope.getStore() !== db) {
+      transactionQueues.get(db).then(() => runWrite(sql, ...args));
+      return;
+    }
+    db.run(sql, ...args);
+  }
+
+  // Promise wrappers for one-off statements (resolves with { lastID, changes } for writes)
+  function runSql(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      runWrite(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  function allSql(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async function columnExists(table, column) {
+    const columns = await allSql(`PRAGMA table_info(${table})`);
+    return columns.some(info => info.name === column);
+  }
+
+  async function addColumnIfMissing(table, column, definition) {
+    if (!await columnExists(table, column)) {
+      await runSql(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  // Run work() between BEGIN and COMMIT, rolling back if it throws. Every transaction on a
+  // connection goes through one queue: SQLite has no nested transactions, and statements from
+  // overlapping work would otherwise land in whichever transaction happens to be open.
+  function withTransaction(work) {
+    const queued = (transactionQueues.get(db) || Promise.resolve()).then(() => transactionScope.run(db, async () => {
+      openTransactions.add(db);
+      try {
+        await runSql('BEGIN IMMEDIATE');
+        const result = await work();
+        await runSql('COMMIT');
+        return result;
+      } catch (error) {
+        await runSql('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        openTransactions.delete(db);
+      }
+    }));
+    transactionQueues.set(db, queued.catch(() => {}));
+    return queued;
+  }
+
+  async function migrateDatabase() {
+    await runSql(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER
+    )`);
+    
+    const applied = new Set((await allSql('SELECT version FROM schema_migrations')).map(row => row.version));
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+    if ([...applied].some(version => version > latest)) {
+      console.warn(`⚠️ Database schema is newer than this build (expects up to v${latest}) - was a deploy rolled back?`);
+    }
+    
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.version)) continue;
+      
+      await withTransaction(async () => {
+        for (const step of migration.up) {
+          if (typeof step === 'function') await step();
+          else await runSql(step);
+        }
+        await runSql('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, clock.now()]);
+      });
+      console.log(`🧱 Applied migration v${migration.version} (${migration.name})`);
+    }
+  }
+
+  // Initialize database (start() waits for it before loading any state)
+  async function initializeDatabase() {
+    // WAL lets readers keep going while a fetch is being written (a no-op for :memory: databases)
+    await runSql('PRAGMA journal_mode = WAL');
+    await runSql('PRAGMA synchronous = NORMAL');
+    await migrateDatabase();
+  }
+
+  // In-memory cache for speed
+  let memoryCache = {};
+  let marginRules = [];
+  let tokenRegistry = new Map(); // coingecko_id -> registry entry
+  let priceGuards = new Map(); // token_id ('*' = every token) -> guard settings
+  let frozenTokens = new Map(); // token_id -> { reason, observed_price, last_good_price, source, frozen_at }
+  let releasedTokens = new Set(); // tokens whose next fetched price skips the max-change guard
+  let streamSubscribers = new Set(); // open SSE connections: { res, tokens, currencies, options }
+  let streamEventId = 0;
+  let streamEvents = []; // replay buffer for Last-Event-ID
+  let webhookSubscriptions = [];
+  let webhookDeliveriesInFlight = new Set(); // delivery ids currently being posted
+  let apiKeys = new Map(); // key_hash -> api key
+  let rateLimitWindow = { start: 0, counts: new Map() }; // current minute: bucket -> requests
+  let onDemandLookupWindow = { start: 0, counts: new Map() }; // current minute: bucket -> ids looked up upstream
+  let quotaUsage = { day: 0, counts: new Map() }; // current UTC day: api key id -> requests
+  let httpRequestMetrics = new Map(); // Prometheus series: route + outcome -> latency histogram
+  let providerFetchMetrics = new Map(); // Prometheus series: provider + outcome + classification -> count
+  let upstreamLatencyMetrics = new Map(); // Prometheus series: provider + outcome -> latency histogram
+  let storeWriteFailureMetrics = new Map(); // Prometheus series: storage backend -> failed price writes
+  let providerOutageState = null; // null | 'all_failed' | 'rate_limited' (webhooks fire on changes)
+  let trackedTokens = new Map(); // token_id -> { added_at, last_requested_at, persisted_at }
+  let onDemandFetches = new Map(); // token_id -> in-flight fetch promise (single-flight)
+  let invalidTokensUntil = new Map(); // token_id -> time until which the provider rejection is cached
+  let lastSuccessfulFetch = 0;
+  let isFetching = false;
+  let fetchAttempts = 0;
+  let serverStartTime = clock.now();
+  let lastRequestTime = 0;
+  let consecutiveFailures = 0;
+  let backgroundFetchTimer = null;
+  let backgroundFetchEnabled = true;
+  let schedulerIntervals = [];
+  let pendingTimeouts = new Set();
+  let server = null;
+  let stopped = false;
+  let ready = false; // set once start() is listening, cleared when shutdown begins
+  let currentFetch = null; // in-flight backgroundFetchPrices run (shutdown waits for it)
+  let pendingLogWrites = 0; // log inserts and background SQLite writes not yet acknowledged
+  let stopping = null; // shutdown promise, so repeated signals share one shutdown
+
+  // NGN Rate caching
+  let cachedNGNRate = null;
+  let ngnRateCacheTime = 0;
+  let ngnRateSource = null;
+  let ngnRateDegraded = false; // the rate came from a no-consensus fallback
+
+  // Other fiat rate caching (keyed by lowercase currency code -> { rate, time, source, degraded })
+  let fiatRateCache = {};
+
+  // Configuration
+  // Runtime-tunable knobs: defaults, then CONFIG_FILE (JSON) and env, then createApp's config,
+  // then SQLite overrides set through /admin/config. Read them from runtimeConfig, never cache them in locals.
+  const CONFIG_SCHEMA = {
+    background_fetch_interval_ms: { type: 'integer', default: 5 * 60 * 1000, min: 30 * 1000, max: 60 * 60 * 1000, env: 'BACKGROUND_FETCH_INTERVAL_MS', description: 'Time between background price fetches' },
+    cache_fresh_duration_ms: { type: 'integer', default: 10 * 60 * 1000, min: 60 * 1000, max: 24 * 60 * 60 * 1000, env: 'CACHE_FRESH_DURATION_MS', description: 'Cache age that triggers an immediate fetch on startup' },
+    min_request_interval_ms: { type: 'integer', default: 2 * 1000, min: 0, max: 5 * 60 * 1000, env: 'MIN_REQUEST_INTERVAL_MS', description: 'Minimum time between upstream price requests' },
+    max_retries: { type: 'integer', default: 3, min: 0, max: 10, env: 'MAX_RETRIES', description: 'Retries after a failed background fetch' },
+    initial_retry_delay_ms: { type: 'integer', default: 10 * 1000, min: 1000, max: 10 * 60 * 1000, env: 'INITIAL_RETRY_DELAY_MS', description: 'First retry delay (doubles per retry)' },
+    ngn_rate_cache_duration_ms: { type: 'integer', default: 30 * 60 * 1000, min: 60 * 1000, max: 24 * 60 * 60 * 1000, env: 'NGN_RATE_CACHE_DURATION_MS', description: 'How long a fetched USD/NGN rate is reused' },
+    fiat_rate_cache_duration_ms: { type: 'integer', default: 30 * 60 * 1000, min: 60 * 1000, max: 24 * 60 * 60 * 1000, env: 'FIAT_RATE_CACHE_DURATION_MS', description: 'How long other fetched USD/fiat rates are reused' },
+    cors_origins: {
+      type: 'origins',
+      default: [
+        'https://paycryptv1.vercel.app',
+        'https://admin.paycrypt.org',
+        'https://www.paycrypt.org',
+        'https://paycrypt.org',
+        'http://localhost:5173',
+        'https://miniapp.paycrypt.org',
+        'https://paycrypt-admin-backend.onrender.com',
+        'http://localhost:3000'
+      ],
+      env: 'CORS_ORIGINS',
+      description: 'Browser origins allowed by CORS (comma-separated in env)'
+    }
+  };
+
+  let baseConfig = {}; // defaults + file + env: what a key falls back to when its override is removed
+  let runtimeConfig = {};
+  let configSources = {}; // key -> 'default' | 'file' | 'env' | 'options' | 'database'
+  loadConfigLayers();
+
+  const CACHE_STALE_DURATION = (parseInt(process.env.PRICE_STALE_AFTER_SECONDS, 10) || 2 * 60 * 60) * 1000; // 2 hours (per token, then stale)
+  // 'mark' serves stale tokens with stale: true, 'refuse' leaves them out (503 when nothing is left)
+  const STALE_PRICE_POLICY = process.env.STALE_PRICE_POLICY === 'refuse' ? 'refuse' : 'mark';
+  const CIRCUIT_FAILURE_THRESHOLD = 3; // consecutive non-429 failures before a provider's circuit opens
+
+  // Aggregation: 'failover' takes the first provider that answers, 'median' / 'trimmed_mean'
+  // query every provider in parallel and reject quotes too far from consensus
+  const AGGREGATION_MODES = ['failover', 'median', 'trimmed_mean'];
+  const PRICE_AGGREGATION_MODE = AGGREGATION_MODES.includes(process.env.PRICE_AGGREGATION_MODE) ? process.env.PRICE_AGGREGATION_MODE : 'failover';
+  const FX_AGGREGATION_MODE = AGGREGATION_MODES.includes(process.env.FX_AGGREGATION_MODE) ? process.env.FX_AGGREGATION_MODE : PRICE_AGGREGATION_MODE;
+  const PRICE_OUTLIER_THRESHOLD_PERCENT = parseFloat(process.env.PRICE_OUTLIER_THRESHOLD_PERCENT) || 2;
+  const FX_OUTLIER_THRESHOLD_PERCENT = parseFloat(process.env.FX_OUTLIER_THRESHOLD_PERCENT) || 5;
+  const TRIMMED_MEAN_FRACTION = 0.2; // drop the top and bottom 20% before averaging
+
+  // On-demand tokens (requested ids outside the registry's default tokens)
+  const TRACKED_TOKEN_IDLE_DAYS = parseFloat(process.env.TRACKED_TOKEN_IDLE_DAYS) || 7;
+  const MAX_TRACKED_TOKENS = parseInt(process.env.MAX_TRACKED_TOKENS, 10) || 50;
+  const INVALID_TOKEN_CACHE_DURATION = 60 * 60 * 1000; // 1 hour
+  const MAX_INVALID_TOKENS = 1000; // rejected ids remembered at once (oldest forgotten first)
+  const ON_DEMAND_LOOKUPS_PER_MINUTE = parseInt(process.env.ON_DEMAND_LOOKUPS_PER_MINUTE, 10) || 10; // unknown ids per client
+  const TRACKED_TOKEN_TOUCH_INTERVAL = 5 * 60 * 1000; // persist last_requested_at at most every 5 minutes
+  const TOKEN_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,99}$/;
+
+  // Price history retention: raw rows older than this are compacted to one point per token per day
+  const PRICE_HISTORY_RETENTION_DAYS = parseInt(process.env.PRICE_HISTORY_RETENTION_DAYS, 10) || 30;
+  const PRICE_HISTORY_PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+  const HOUR_MS = 60 * 60 * 1000;
+  const DAY_MS = 24 * HOUR_MS;
+
+  // Price storage (prices, price history, fetch and request logs): 'sqlite' keeps them in
+  // price_cache.db with everything else, 'postgres' moves them to DATABASE_URL so a redeploy
+  // on an ephemeral disk doesn't lose them and every instance serves the same cache
+  const STORAGE_BACKENDS = ['sqlite', 'postgres'];
+  const STORAGE_BACKEND = STORAGE_BACKENDS.includes(process.env.STORAGE_BACKEND) ? process.env.STORAGE_BACKEND : 'sqlite';
+  const DATABASE_URL = process.env.DATABASE_URL;
+  const POSTGRES_POOL_SIZE = parseInt(process.env.POSTGRES_POOL_SIZE, 10) || 5;
+  const POSTGRES_MIGRATION_LOCK = 7314001; // pg_advisory_xact_lock key held while migrating
+
+  // Signed quotes: without QUOTE_SIGNING_SECRET a per-process secret is used and
+  // quotes issued before a restart will no longer verify
+  const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS, 10) || 120;
+  const QUOTE_RETENTION_DAYS = 7; // expired quotes are kept this long for checkout reconciliation
+  const QUOTE_SIGNING_SECRET = process.env.QUOTE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+  // Amount conversion: fiat rounds to minor units, tokens to their registry decimals
+  const FIAT_DECIMALS = 2;
+  const DEFAULT_TOKEN_DECIMALS = 18; // tokens outside the registry (or without decimals set)
+  const PRICE_SCALE = 18; // fixed-point scale used for cached prices during conversion
+
+  // What /api/v3/simple/price does when neither memory nor price_cache has a token:
+  // 'last_known_good' serves the latest price_history row flagged degraded, 'refuse' returns 503
+  const EMERGENCY_PRICE_MODES = ['last_known_good', 'refuse'];
+  const EMERGENCY_PRICE_MODE = EMERGENCY_PRICE_MODES.includes(process.env.EMERGENCY_PRICE_MODE) ? process.env.EMERGENCY_PRICE_MODE : 'last_known_good';
+
+  // Price stream (SSE)
+  const MAX_STREAM_SUBSCRIBERS = parseInt(process.env.MAX_STREAM_SUBSCRIBERS, 10) || 200;
+  const STREAM_HEARTBEAT_INTERVAL = 15 * 1000; // keeps proxies from closing idle streams
+  const STREAM_REPLAY_BUFFER_SIZE = 200;
+  const STREAM_RETRY_MS = 5000; // client reconnect delay sent in the retry: field
+
+  // Outbound webhooks
+  const WEBHOOK_EVENT_TYPES = ['price.moved', 'fx.ngn_crossed', 'providers.all_failed', 'providers.rate_limited', 'providers.recovered'];
+  const WEBHOOK_MAX_ATTEMPTS = 6;
+  const WEBHOOK_RETRY_BASE_DELAY = 30 * 1000; // 30s, 1m, 2m, 4m, 8m between attempts
+  const WEBHOOK_RETRY_INTERVAL = 30 * 1000;
+  const WEBHOOK_TIMEOUT = 10 * 1000;
+
+  // API keys: admin implies every scope, ops and checkout include public reads
+  const API_KEY_SCOPES = {
+    public: ['public'],
+    checkout: ['checkout', 'public'],
+    ops: ['ops', 'public'],
+    admin: ['admin', 'ops', 'checkout', 'public']
+  };
+  const OPEN_PATHS = ['/', '/health', '/health/live', '/health/ready'];
+  const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25 * 1000; // Render allows 30s after SIGTERM
+  const ADMIN_API_KEY = process.env.ADMIN_API_KEY || ''; // bootstrap admin key (not stored, no limits)
+  const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true'; // otherwise public reads may be anonymous
+  const ANONYMOUS_RATE_LIMIT_PER_MINUTE = parseInt(process.env.ANONYMOUS_RATE_LIMIT_PER_MINUTE, 10) || 60;
+  const DEFAULT_KEY_RATE_LIMIT_PER_MINUTE = 600;
+  const API_KEY_TOUCH_INTERVAL = 60 * 1000; // persist last_used_at at most once a minute
+
+  // Quote currencies accepted in vs_currencies (USD is native, the rest are converted from USD)
+  const SUPPORTED_VS_CURRENCIES = ['usd', 'ngn', 'ghs', 'kes', 'zar', 'eur'];
+  const DEFAULT_VS_CURRENCIES = ['usd', 'ngn'];
+  const EXTRA_FIAT_CURRENCIES = SUPPORTED_VS_CURRENCIES.filter(c => c !== 'usd' && c !== 'ngn');
+
+  // Price guard seed, written to price_guards only when that table is empty.
+  // max_change_percent compares each fetch to the last good USD price; pegged tokens must
+  // also stay within peg_band_percent of peg_target.
+  const PRICE_GUARD_SEED = [
+    { token_id: '*', max_change_percent: 25 },
+    { token_id: 'tether', max_change_percent: 5, peg_target: 1, peg_band_percent: 3 },
+    { token_id: 'usd-coin', max_change_percent: 5, peg_target: 1, peg_band_percent: 3 },
+    { token_id: 'celo-dollar', max_change_percent: 5, peg_target: 1, peg_band_percent: 3 }
+  ];
+
+  // Token registry seed, written to token_registry only when that table is empty.
+  // After first boot the registry is managed through /admin/tokens, not here.
+  const BASE_CHAIN_ID = 8453;
+  const REGISTRY_SEED_TOKENS = [
+    { coingecko_id: 'bitcoin', symbol: 'BTC', cmc_id: 1, decimals: 8 },
+    { coingecko_id: 'ethereum', symbol: 'ETH', cmc_id: 1027, decimals: 18 },
+    { coingecko_id: 'tether', symbol: 'USDT', cmc_id: 825, chain_id: BASE_CHAIN_ID, contract_address: '0xfde4c96c8593536e31f229ea8f37b2ada2699bb2', decimals: 6 },
+    { coingecko_id: 'usd-coin', symbol: 'USDC', cmc_id: 3408, chain_id: BASE_CHAIN_ID, contract_address: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', decimals: 6 },
+    { coingecko_id: 'binancecoin', symbol: 'BNB', cmc_id: 1839, decimals: 18 },
+    { coingecko_id: 'cardano', symbol: 'ADA', cmc_id: 2010, decimals: 6 },
+    { coingecko_id: 'solana', symbol: 'SOL', cmc_id: 5426, decimals: 9 },
+    { coingecko_id: 'polygon', symbol: 'MATIC', cmc_id: 3890, decimals: 18 },
+    { coingecko_id: 'chainlink', symbol: 'LINK', cmc_id: 1975, decimals: 18 },
+    { coingecko_id: 'send-token-2', symbol: 'SEND', cmc_id: 29382, chain_id: BASE_CHAIN_ID, contract_address: '0xeab49138ba2ea6dd776220fe26b7b8e446638956', decimals: 18 },
+    { coingecko_id: 'celo-dollar', symbol: 'CUSD', cmc_id: 5243, decimals: 18 },
+    { coingecko_id: 'celo', symbol: 'CELO', cmc_id: 5567, decimals: 18 }
+  ];
+
+  // Price storage: price_cache, fiat_price_cache, price_history, fetch_logs and api_metrics live
+  // behind this interface so they can sit in Postgres (shared, survives redeploys) while the rest
+  // of the state stays in SQLite. Every method returns a promise; timestamps are epoch ms.
+  //   init()                                               create or migrate the backend's tables
+  //   savePrices(tokenData, source)                        one fetch atomically: cache rows + history rows
+  //   loadPrices(tokenIds?)                                cached quotes keyed by token id (all when omitted)
+  //   deletePrices(tokenIds)
+  //   priceSummary()                                       { count, latest } over price_cache
+  //   listPrices()                                         price_cache rows, newest first
+  //   loadLastKnownPrices(tokenIds)                        latest price_history row per token
+  //   loadPriceHistory(tokenId, currency, from, to, bucketMs)   [[timestamp, price], ...]
+  //   prunePriceHistory(cutoff)                            number of rows removed
+  //   logFetch(entry) / logApiCall(entry)
+  //   recentFetchLogs(limit) / apiCallStats(since) / apiKeyUsage(apiKeyId, since) / apiKeyCallCounts(since)
+  //   ping() / close()
+
+  // Column values for one token's rows, shared so both backends store exactly the same thing
+  function priceCacheValues(tokenId, prices, timestamp) {
+    return [
+      tokenId,
+      prices.usd || null,
+      prices.ngn || null,
+      prices.ngn_mid || null,
+      prices.last_updated || timestamp,
+      prices.source || null,
+      prices.fx_source || null,
+      prices.fx_rate || null,
+      prices.raw ? JSON.stringify(prices.raw) : null
+    ];
+  }
+
+  function fiatCacheValues(tokenId, prices, timestamp) {
+    return SUPPORTED_VS_CURRENCIES
+      .filter(currency => prices[currency])
+      .map(currency => [
+        tokenId,
+        currency,
+        prices[currency],
+        prices[`${currency}_mid`] || null,
+        prices[`${currency}_buy`] || null,
+        prices[`${currency}_sell`] || null,
+        prices.last_updated || timestamp
+      ]);
+  }
+
+  function priceHistoryValues(tokenId, prices, source, timestamp) {
+    const fiatPrices = {};
+    EXTRA_FIAT_CURRENCIES.forEach(currency => {
+      if (prices[currency]) fiatPrices[currency] = prices[currency];
+    });
+    
+    return [
+      tokenId,
+      timestamp,
+      source,
+      prices.usd || null,
+      prices.ngn || null,
+      prices.ngn_mid || null,
+      prices.usd && prices.ngn_mid ? prices.ngn_mid / prices.usd : null,
+      prices.ngn && prices.ngn_mid ? prices.ngn - prices.ngn_mid : null,
+      JSON.stringify(fiatPrices),
+      prices.fx_source || null,
+      prices.raw ? JSON.stringify(prices.raw) : null
+    ];
+  }
+
+  // SQLite stores JSON as text, Postgres hands back parsed jsonb
+  function parseJsonColumn(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value || null;
+  }
+
+  // price_cache rows plus their fiat_price_cache quotes (mid/buy/sell and extra fiats) in cache shape
+  function toCachedPrices(rows, fiatRows) {
+    const data = {};
+    rows.forEach(row => {
+      data[row.token_id] = {
+        usd: row.usd_price,
+        ngn: row.ngn_price,
+        ngn_mid: row.original_ngn,
+        last_updated: row.last_updated,
+        source: row.source,
+        fx_source: row.fx_source,
+        fx_rate: row.fx_rate,
+        raw: parseJsonColumn(row.raw_values)
+      };
+    });
+    
+    fiatRows.forEach(row => {
+      const prices = data[row.token_id];
+      if (!prices) return;
+      prices[row.currency] = row.price;
+      prices[`${row.currency}_mid`] = row.mid_price;
+      prices[`${row.currency}_buy`] = row.buy_price;
+      prices[`${row.currency}_sell`] = row.sell_price;
+    });
+    
+    return data;
+  }
+
+  function toLastKnownPrices(rows) {
+    const data = {};
+    rows.forEach(row => {
+      if (row.usd_price) data[row.token_id] = { ...row, raw: parseJsonColumn(row.raw_values) };
+    });
+    return data;
+  }
+
+  function toChartPoints(rows) {
+    return rows
+      .filter(row => row.price !== null && row.price !== undefined)
+      .map(row => [row.timestamp, row.price]);
+  }
+
+  const PRICE_CACHE_COLUMNS = 'token_id, usd_price, ngn_price, original_ngn, last_updated, source, fx_source, fx_rate, raw_values';
+  const FIAT_CACHE_COLUMNS = 'token_id, currency, price, mid_price, buy_price, sell_price, last_updated';
+  const PRICE_HISTORY_COLUMNS = 'token_id, timestamp, source, usd_price, ngn_price, ngn_mid, ngn_rate, ngn_margin, fiat_prices, fx_source, raw_values';
+
+  // The default backend: the same price_cache.db as everything else, tables from MIGRATIONS
+  function createSqliteStorage() {
+    const placeholders = values => values.map(() => '?').join(',');
+    
+    return {
+      backend: 'sqlite',
+      
+      init: async () => {},
+      
+      savePrices(tokenData, source) {
+        return withTransaction(async () => {
+          const timestamp = clock.now();
+          
+          for (const [tokenId, prices] of Object.entries(tokenData)) {
+            await runSql(`INSERT OR REPLACE INTO price_cache (${PRICE_CACHE_COLUMNS}) 
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`, priceCacheValues(tokenId, prices, timestamp));
+            
+            for (const values of fiatCacheValues(tokenId, prices, timestamp)) {
+              await runSql(`INSERT OR REPLACE INTO fiat_price_cache (${FIAT_CACHE_COLUMNS}) 
+                VALUES (?, ?, ?, ?, ?, ?, ?)`, values);
+            }
+            
+            await runSql(`INSERT INTO price_history (${PRICE_HISTORY_COLUMNS}) 
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, priceHistoryValues(tokenId, prices, source, timestamp));
+          }
+        });
+      },
+      
+      async loadPrices(tokenIds = null) {
+        const filtered = tokenIds && tokenIds.length > 0;
+        const rows = await allSql(`SELECT * FROM price_cache${filtered ? ` WHERE token_id IN (${placeholders(tokenIds)})` : ''}`,
+          filtered ? tokenIds : []);
+        if (rows.length === 0) return {};
+        
+        const ids = rows.map(row => row.token_id);
+        const fiatRows = await allSql(`SELECT * FROM fiat_price_cache WHERE token_id IN (${placeholders(ids)})`, ids);
+        return toCachedPrices(rows, fiatRows);
+      },
+      
+      deletePrices(tokenIds) {
+        return withTransaction(async () => {
+          await runSql(`DELETE FROM price_cache WHERE token_id IN (${placeholders(tokenIds)})`, tokenIds);
+          await runSql(`DELETE FROM fiat_price_cache WHERE token_id IN (${placeholders(tokenIds)})`, tokenIds);
+        });
+      },
+      
+      async priceSummary() {
+        const [row] = await allSql('SELECT COUNT(*) as count, MAX(last_updated) as latest FROM price_cache');
+        return row;
+      },
+      
+      listPrices() {
+        return allSql('SELECT token_id, usd_price, ngn_price, source, fx_source, fx_rate, last_updated FROM price_cache ORDER BY last_updated DESC');
+      },
+      
+      async loadLastKnownPrices(tokenIds) {
+        const rows = await allSql(`SELECT h.token_id, h.timestamp, h.source, h.usd_price, h.ngn_mid, h.ngn_rate, h.fx_source, h.raw_values 
+          FROM price_history h 
+          JOIN (SELECT token_id, MAX(timestamp) as timestamp FROM price_history 
+            WHERE token_id IN (${placeholders(tokenIds)}) GROUP BY token_id) latest 
+            ON latest.token_id = h.token_id AND latest.timestamp = h.timestamp`, tokenIds);
+        return toLastKnownPrices(rows);
+      },
+      
+      // Keeps the last sample in each bucket (bucketMs 0 = raw rows)
+      async loadPriceHistory(tokenId, currency, from, to, bucketMs = 0) {
+        // currency is validated against SUPPORTED_VS_CURRENCIES before it gets here
+        const priceColumn = currency === 'usd' ? 'usd_price'
+          : currency === 'ngn' ? 'ngn_price'
+          : `json_extract(fiat_prices, '$.${currency}')`;
+        
+        const rows = await allSql(bucketMs > 0
+          ? `SELECT MAX(timestamp) as timestamp, ${priceColumn} as price FROM price_history 
+             WHERE token_id = ? AND timestamp BETWEEN ? AND ? 
+             GROUP BY timestamp / ${bucketMs} ORDER BY timestamp`
+          : `SELECT timestamp, ${priceColumn} as price FROM price_history 
+             WHERE token_id = ? AND timestamp BETWEEN ? AND ? ORDER BY timestamp`, [tokenId, from, to]);
+        return toChartPoints(rows);
+      },
+      
+      // Rows before the cutoff keep only the last point per token per day
+      async prunePriceHistory(cutoff) {
+        const result = await runSql(`DELETE FROM price_history 
+          WHERE timestamp < ? AND id NOT IN (
+            SELECT id FROM (
+              SELECT id, MAX(timestamp) FROM price_history 
+              WHERE timestamp < ? 
+              GROUP BY token_id, timestamp / ${DAY_MS}
+            )
+          )`, [cutoff, cutoff]);
+        return result.changes;
+      },
+      
+      logFetch(entry) {
+        return runSql(`INSERT INTO fetch_logs 
+          (timestamp, status, tokens_count, error_message, response_time) 
+          VALUES (?, ?, ?, ?, ?)`, [entry.timestamp, entry.status, entry.tokens_count, entry.error_message, entry.response_time]);
+      },
+      
+      logApiCall(entry) {
+        return runSql(`INSERT INTO api_metrics 
+          (endpoint, status, timestamp, response_time, tokens_requested, api_key_id) 
+          VALUES (?, ?, ?, ?, ?, ?)`, [entry.endpoint, entry.status, entry.timestamp, entry.response_time, entry.tokens_requested, entry.api_key_id]);
+      },
+      
+      recentFetchLogs(limit) {
+        return allSql(`SELECT timestamp, status, tokens_count, error_message, response_time 
+          FROM fetch_logs ORDER BY timestamp DESC LIMIT ?`, [limit]);
+      },
+      
+      apiCallStats(since) {
+        return allSql(`SELECT status, COUNT(*) as count, AVG(response_time) as avg_response_time, MAX(timestamp) as last_occurrence 
+          FROM api_metrics WHERE timestamp > ? 
+          GROUP BY status ORDER BY count DESC`, [since]);
+      },
+      
+      apiKeyUsage(apiKeyId, since) {
+        return allSql(`SELECT endpoint, status, COUNT(*) as count, AVG(response_time) as avg_response_time, MAX(timestamp) as last_occurrence 
+          FROM api_metrics WHERE api_key_id = ? AND timestamp > ? 
+          GROUP BY endpoint, status ORDER BY count DESC`, [apiKeyId, since]);
+      },
+      
+      apiKeyCallCounts(since) {
+        return allSql(`SELECT api_key_id, COUNT(*) as count FROM api_metrics 
+          WHERE api_key_id IS NOT NULL AND timestamp >= ? GROUP BY api_key_id`, [since]);
+      },
+      
+      ping: () => allSql('SELECT 1').then(() => true, () => false),
+      
+      // The connection belongs to the app (closed by shutdown when it opened it)
+      close: async () => {}
+    };
+  }
+
+  // Postgres schema for the price store, applied by createPostgresStorage().init() under an
+  // advisory lock so instances booting together don't race. Same rules as MIGRATIONS: append only.
+  const POSTGRES_MIGRATIONS = [
+    {
+      version: 1,
+      name: 'price_store',
+      up: [
+        `CREATE TABLE IF NOT EXISTS price_cache (
+          token_id TEXT PRIMARY KEY,
+          usd_price DOUBLE PRECISION,
+          ngn_price DOUBLE PRECISION,
+          original_ngn DOUBLE PRECISION,
+          last_updated BIGINT,
+          source TEXT,
+          fx_source TEXT,
+          fx_rate DOUBLE PRECISION,
+          raw_values JSONB
+        )`,
+        `CREATE TABLE IF NOT EXISTS fiat_price_cache (
+          token_id TEXT,
+          currency TEXT,
+          price DOUBLE PRECISION,
+          mid_price DOUBLE PRECISION,
+          buy_price DOUBLE PRECISION,
+          sell_price DOUBLE PRECISION,
+          last_updated BIGINT,
+          PRIMARY KEY (token_id, currency)
+        )`,
+        `CREATE TABLE IF NOT EXISTS price_history (
+          id BIGSERIAL PRIMARY KEY,
+          token_id TEXT NOT NULL,
+          timestamp BIGINT NOT NULL,
+          source TEXT,
+          usd_price DOUBLE PRECISION,
+          ngn_price DOUBLE PRECISION,
+          ngn_mid DOUBLE PRECISION,
+          ngn_rate DOUBLE PRECISION,
+          ngn_margin DOUBLE PRECISION,
+          fiat_prices JSONB,
+          fx_source TEXT,
+          raw_values JSONB
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_price_history_token_time ON price_history (token_id, timestamp)`,
+        `CREATE TABLE IF NOT EXISTS fetch_logs (
+          id BIGSERIAL PRIMARY KEY,
+          timestamp BIGINT,
+          status TEXT,
+          tokens_count INTEGER,
+          error_message TEXT,
+          response_time INTEGER
+        )`,
+        `CREATE TABLE IF NOT EXISTS api_metrics (
+          id BIGSERIAL PRIMARY KEY,
+          endpoint TEXT,
+          status TEXT,
+          timestamp BIGINT,
+          response_time INTEGER,
+          tokens_requested TEXT,
+          api_key_id INTEGER
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_api_metrics_key_time ON api_metrics (api_key_id, timestamp)`
+      ]
+    }
+  ];
+
+  // STORAGE_BACKEND=postgres: node-postgres pool on DATABASE_URL (PG* env vars fill in the rest)
+  function createPostgresStorage() {
+    const pool = new pg.Pool({ connectionString: DATABASE_URL, max: POSTGRES_POOL_SIZE, types: POSTGRES_TYPES });
+    // An idle client losing its connection must not take the process down; the pool reconnects
+    pool.on('error', error => console.error('❌ Postgres connection error:', error.message));
+    
+    const rowsOf = (sql, params = []) => pool.query(sql, params).then(result => result.rows);
+    
+    async function transaction(work) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+    
+    return {
+      backend: 'postgres',
+      
+      async init() {
+        const applied = await transaction(async client => {
+          await client.query('SELECT pg_advisory_xact_lock($1)', [POSTGRES_MIGRATION_LOCK]);
+          await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at BIGINT
+          )`);
+          
+          const done = new Set((await client.query('SELECT version FROM schema_migrations')).rows.map(row => row.version));
+          const pending = POSTGRES_MIGRATIONS.filter(migration => !done.has(migration.version));
+          for (const migration of pending) {
+            for (const step of migration.up) {
+              await client.query(step);
+            }
+            await client.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+              [migration.version, migration.name, clock.now()]);
+          }
+          return pending;
+        });
+        
+        applied.forEach(migration => console.log(`🧱 Applied Postgres migration v${migration.version} (${migration.name})`));
+      },
+      
+      savePrices(tokenData, source) {
+        return transaction(async client => {
+          const timestamp = clock.now();
+          
+          for (const [tokenId, prices] of Object.entries(tokenData)) {
+            await client.query(`INSERT INTO price_cache (${PRICE_CACHE_COLUMNS}) 
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+              ON CONFLICT (token_id) DO UPDATE SET 
+                usd_price = EXCLUDED.usd_price, ngn_price = EXCLUDED.ngn_price, original_ngn = EXCLUDED.original_ngn, 
+                last_updated = EXCLUDED.last_updated, source = EXCLUDED.source, fx_source = EXCLUDED.fx_source, 
+                fx_rate = EXCLUDED.fx_rate, raw_values = EXCLUDED.raw_values`, priceCacheValues(tokenId, prices, timestamp));
+            
+            for (const values of fiatCacheValues(tokenId, prices, timestamp)) {
+              await client.query(`INSERT INTO fiat_price_cache (${FIAT_CACHE_COLUMNS}) 
+                VALUES ($1, $2, $3, $4, $5, $6, $7) 
+                ON CONFLICT (token_id, currency) DO UPDATE SET 
+                  price = EXCLUDED.price, mid_price = EXCLUDED.mid_price, buy_price = EXCLUDED.buy_price, 
+                  sell_price = EXCLUDED.sell_price, last_updated = EXCLUDED.last_updated`, values);
+            }
+            
+            await client.query(`INSERT INTO price_history (${PRICE_HISTORY_COLUMNS}) 
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`, priceHistoryValues(tokenId, prices, source, timestamp));
+          }
+        });
+      },
+      
+      async loadPrices(tokenIds = null) {
+        const filtered = tokenIds && tokenIds.length > 0;
+        const rows = await rowsOf(`SELECT * FROM price_cache${filtered ? ' WHERE token_id = ANY($1)' : ''}`,
+          filtered ? [tokenIds] : []);
+        if (rows.length === 0) return {};
+        
+        const fiatRows = await rowsOf('SELECT * FROM fiat_price_cache WHERE token_id = ANY($1)', [rows.map(row => row.token_id)]);
+        return toCachedPrices(rows, fiatRows);
+      },
+      
+      deletePrices(tokenIds) {
+        return transaction(async client => {
+          await client.query('DELETE FROM price_cache WHERE token_id = ANY($1)', [tokenIds]);
+          await client.query('DELETE FROM fiat_price_cache WHERE token_id = ANY($1)', [tokenIds]);
+        });
+      },
+      
+      async priceSummary() {
+        const [row] = await rowsOf('SELECT COUNT(*) as count, MAX(last_updated) as latest FROM price_cache');
+        return row;
+      },
+      
+      listPrices() {
+        return rowsOf('SELECT token_id, usd_price, ngn_price, source, fx_source, fx_rate, last_updated FROM price_cache ORDER BY last_updated DESC');
+      },
+      
+      async loadLastKnownPrices(tokenIds) {
+        const rows = await rowsOf(`SELECT DISTINCT ON (token_id) token_id, timestamp, source, usd_price, ngn_mid, ngn_rate, fx_source, raw_values 
+          FROM price_history WHERE token_id = ANY($1) 
+          ORDER BY token_id, timestamp DESC`, [tokenIds]);
+        return toLastKnownPrices(rows);
+      },
+      
+      async loadPriceHistory(tokenId, currency, from, to, bucketMs = 0) {
+        // currency is validated against SUPPORTED_VS_CURRENCIES before it gets here
+        const priceColumn = currency === 'usd' ? 'usd_price'
+          : currency === 'ngn' ? 'ngn_price'
+          : `(fiat_prices ->> '${currency}')::double precision`;
+        
+        const rows = await rowsOf(bucketMs > 0
+          ? `SELECT DISTINCT ON (timestamp / ${bucketMs}) timestamp, ${priceColumn} as price FROM price_history 
+             WHERE token_id = $1 AND timestamp BETWEEN $2 AND $3 
+             ORDER BY timestamp / ${bucketMs}, timestamp DESC`
+          : `SELECT timestamp, ${priceColumn} as price FROM price_history 
+             WHERE token_id = $1 AND timestamp BETWEEN $2 AND $3 ORDER BY timestamp`, [tokenId, from, to]);
+        return toChartPoints(rows);
+      },
+      
+      async prunePriceHistory(cutoff) {
+        const result = await pool.query(`DELETE FROM price_history 
+          WHERE timestamp < $1 AND id NOT IN (
+            SELECT DISTINCT ON (token_id, timestamp / ${DAY_MS}) id FROM price_history 
+            WHERE timestamp < $1 
+            ORDER BY token_id, timestamp / ${DAY_MS}, timestamp DESC
+          )`, [cutoff]);
+        return result.rowCount;
+      },
+      
+      logFetch(entry) {
+        return pool.query(`INSERT INTO fetch_logs 
+          (timestamp, status, tokens_count, error_message, response_time) 
+          VALUES ($1, $2, $3, $4, $5)`, [entry.timestamp, entry.status, entry.tokens_count, entry.error_message, entry.response_time]);
+      },
+      
+      logApiCall(entry) {
+        return pool.query(`INSERT INTO api_metrics 
+          (endpoint, status, timestamp, response_time, tokens_requested, api_key_id) 
+          VALUES ($1, $2, $3, $4, $5, $6)`, [entry.endpoint, entry.status, entry.timestamp, entry.response_time, entry.tokens_requested, entry.api_key_id]);
+      },
+      
+      recentFetchLogs(limit) {
+        return rowsOf(`SELECT timestamp, status, tokens_count, error_message, response_time 
+          FROM fetch_logs ORDER BY timestamp DESC LIMIT $1`, [limit]);
+      },
+      
+      apiCallStats(since) {
+        return rowsOf(`SELECT status, COUNT(*) as count, AVG(response_time)::double precision as avg_response_time, MAX(timestamp) as last_occurrence 
+          FROM api_metrics WHERE timestamp > $1 
+          GROUP BY status ORDER BY count DESC`, [since]);
+      },
+      
+      apiKeyUsage(apiKeyId, since) {
+        return rowsOf(`SELECT endpoint, status, COUNT(*) as count, AVG(response_time)::double precision as avg_response_time, MAX(timestamp) as last_occurrence 
+          FROM api_metrics WHERE api_key_id = $1 AND timestamp > $2 
+          GROUP BY endpoint, status ORDER BY count DESC`, [apiKeyId, since]);
+      },
+      
+      apiKeyCallCounts(since) {
+        return rowsOf(`SELECT api_key_id, COUNT(*) as count FROM api_metrics 
+          WHERE api_key_id IS NOT NULL AND timestamp >= $1 GROUP BY api_key_id`, [since]);
+      },
+      
+      ping: () => pool.query('SELECT 1').then(() => true, () => false),
+      
+      close: () => pool.end()
+    };
+  }
+
+  const storage = STORAGE_BACKEND === 'postgres' ? createPostgresStorage() : createSqliteStorage();
+
+  // Retention policy: keep only the last point per token per day for rows past the retention window
+  function prunePriceHistory() {
+    const cutoff = clock.now() - PRICE_HISTORY_RETENTION_DAYS * DAY_MS;
+    
+    storage.prunePriceHistory(cutoff)
+      .then(removed => {
+        if (removed > 0) {
+          console.log(`🧹 Pruned ${removed} raw price history rows older than ${PRICE_HISTORY_RETENTION_DAYS} days`);
+        }
+      })
+      .catch(error => console.error('❌ Price history pruning failed:', error.message));
+  }
+
+  // 'YYYY-MM-DD HH:MM:SS' UTC, the shape SQLite's datetime() gave the stats and log routes
+  function formatStoredTime(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString().slice(0, 19).replace('T', ' ') : null;
+  }
+
+  // FX rate history: every fetched USD->fiat rate with its source
+  function saveFxRate(currency, rate, source) {
+    runWrite('INSERT INTO fx_rates (currency, rate, source, fetched_at) VALUES (?, ?, ?, ?)',
+      [currency, rate, source, clock.now()], (err) => {
+        if (err) console.error(`❌ Failed to save ${currency.toUpperCase()} rate:`, err.message);
+      });
+  }
+
+  // Restore the latest persisted rate per currency so a cold start doesn't begin empty
+  function loadLatestFxRates() {
+    return new Promise((resolve, reject) => {
+      db.all(`SELECT f.currency, f.rate, f.source, f.fetched_at 
+        FROM fx_rates f 
+        JOIN (SELECT currency, MAX(fetched_at) as fetched_at FROM fx_rates GROUP BY currency) latest 
+          ON latest.currency = f.currency AND latest.fetched_at = f.fetched_at`, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        rows.forEach(row => {
+          if (row.currency === 'ngn') {
+            cachedNGNRate = row.rate;
+            ngnRateCacheTime = row.fetched_at;
+            ngnRateSource = row.source;
+          } else {
+            fiatRateCache[row.currency] = { rate: row.rate, time: row.fetched_at, source: row.source };
+          }
+        });
+        
+        if (cachedNGNRate) {
+          const ageMinutes = Math.floor((clock.now() - ngnRateCacheTime) / 60000);
+          console.log(`💱 Restored NGN rate: ₦${cachedNGNRate.toFixed(2)} from ${ngnRateSource} (${ageMinutes}m old)`);
+        }
+        resolve(rows);
+      });
+    });
+  }
+
+  function loadFxRateHistory(currency, limit) {
+    return new Promise((resolve, reject) => {
+      db.all(`SELECT rate, source, fetched_at FROM fx_rates 
+        WHERE currency = ? ORDER BY fetched_at DESC LIMIT ?`, [currency, limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  function pruneFxRates() {
+    const cutoff = clock.now() - PRICE_HISTORY_RETENTION_DAYS * DAY_MS;
+    
+    // Keep the newest row per currency however old it is: it is the last known good rate
+    runWrite(`DELETE FROM fx_rates 
+      WHERE fetched_at < ? AND id NOT IN (SELECT MAX(id) FROM fx_rates GROUP BY currency)`, [cutoff], function (err) {
+      if (err) {
+        console.error('❌ FX rate pruning failed:', err.message);
+      } else if (this.changes > 0) {
+        console.log(`🧹 Pruned ${this.changes} FX rate rows older than ${PRICE_HISTORY_RETENTION_DAYS} days`);
+      }
+    });
+  }
+
+  // Prometheus metrics (text exposition format 0.0.4), kept in memory and rendered by /metrics
+  const METRICS_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+
+  function metricKey(labels) {
+    return JSON.stringify(Object.entries(labels));
+  }
+
+  function incrementCounter(store, labels, amount = 1) {
+    const key = metricKey(labels);
+    const series = store.get(key) || { labels, value: 0 };
+    series.value += amount;
+    store.set(key, series);
+  }
+
+  function observeHistogram(store, labels, seconds) {
+    const key = metricKey(labels);
+    const series = store.get(key) || { labels, buckets: METRICS_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    
+    METRICS_LATENCY_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) series.buckets[index]++;
+    });
+    series.sum += seconds;
+    series.count++;
+    store.set(key, series);
+  }
+
+  function formatMetricLabels(labels) {
+    const pairs = Object.entries(labels)
+      .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  function formatMetricValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+  }
+
+  // series: [{ labels, value }] for counters and gauges, histogram stores are expanded into buckets
+  function renderMetric(name, type, help, series) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    
+    series.forEach(entry => {
+      if (type !== 'histogram') {
+        lines.push(`${name}${formatMetricLabels(entry.labels)} ${formatMetricValue(entry.value)}`);
+        return;
+      }
+      
+      METRICS_LATENCY_BUCKETS.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: bound })} ${entry.buckets[index]}`);
+      });
+      lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${name}_sum${formatMetricLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${name}_count${formatMetricLabels(entry.labels)} ${entry.count}`);
+    });
+    
+    return lines.join('\n');
+  }
+
+  // Route label for requests without a route-level metric (patterns, not raw paths, to bound cardinality)
+  function requestRouteLabel(req) {
+    return req.route ? req.route.path : 'unmatched';
+  }
+
+  function renderPrometheusMetrics() {
+    const now = clock.now();
+    const providers = [...Object.values(PRICE_PROVIDERS), ...Object.values(FX_PROVIDERS)];
+    const gauge = (value, labels = {}) => ({ labels, value });
+    
+    const sections = [
+      renderMetric('paycrypt_http_requests_total', 'counter',
+        'API requests by route and outcome (cache outcome for price routes, as logged to api_metrics)',
+        [...httpRequestMetrics.values()].map(series => gauge(series.count, series.labels))),
+      renderMetric('paycrypt_http_request_duration_seconds', 'histogram',
+        'API request latency by route and outcome', [...httpRequestMetrics.values()]),
+      renderMetric('paycrypt_provider_fetches_total', 'counter',
+        'Upstream provider fetches by outcome (failures carry the error classification)', [...providerFetchMetrics.values()]),
+      renderMetric('paycrypt_upstream_request_duration_seconds', 'histogram',
+        'Upstream provider request latency', [...upstreamLatencyMetrics.values()]),
+      renderMetric('paycrypt_provider_circuit_state', 'gauge',
+        'Provider circuit breaker state (1 for the current state)',
+        providers.flatMap(provider => ['closed', 'open', 'half_open']
+          .map(state => gauge(provider.state.circuit === state ? 1 : 0, { provider: providerKey(provider), state })))),
+      renderMetric('paycrypt_provider_backoff_remaining_seconds', 'gauge',
+        'Seconds until an open provider circuit allows a trial request',
+        providers.map(provider => gauge(provider.state.circuit === 'open' ? Math.max(0, (provider.state.opened_until - now) / 1000) : 0,
+          { provider: providerKey(provider) }))),
+      renderMetric('paycrypt_provider_consecutive_failures', 'gauge',
+        'Consecutive failures per provider',
+        providers.map(provider => gauge(provider.state.consecutive_failures, { provider: providerKey(provider) }))),
+      renderMetric('paycrypt_price_store_write_failures_total', 'counter',
+        'Fetched prices that could not be saved to the price store', [...storeWriteFailureMetrics.values()]),
+      renderMetric('paycrypt_background_fetch_consecutive_failures', 'gauge',
+        'Consecutive failed background fetch cycles', [gauge(consecutiveFailures)]),
+      renderMetric('paycrypt_last_successful_fetch_age_seconds', 'gauge',
+        'Seconds since the last successful background fetch',
+        lastSuccessfulFetch ? [gauge((now - lastSuccessfulFetch) / 1000)] : []),
+      renderMetric('paycrypt_ngn_rate', 'gauge',
+        'Current USD/NGN rate', cachedNGNRate ? [gauge(cachedNGNRate, { source: ngnRateSource || 'unknown' })] : []),
+      renderMetric('paycrypt_ngn_rate_age_seconds', 'gauge',
+        'Seconds since the USD/NGN rate was fetched', cachedNGNRate ? [gauge((now - ngnRateCacheTime) / 1000)] : []),
+      renderMetric('paycrypt_token_price_age_seconds', 'gauge',
+        'Seconds since each cached token price was fetched',
+        Object.entries(memoryCache)
+          .filter(([, prices]) => prices.last_updated)
+          .map(([tokenId, prices]) => gauge(getPriceAgeSeconds(prices), { token: tokenId }))),
+      renderMetric('paycrypt_token_frozen', 'gauge',
+        'Tokens frozen by a price guard', [...frozenTokens.keys()].map(tokenId => gauge(1, { token: tokenId }))),
+      renderMetric('paycrypt_stream_subscribers', 'gauge',
+        'Open SSE price stream connections', [gauge(streamSubscribers.size)])
+    ];
+    
+    return sections.join('\n') + '\n';
+  }
+
+  // Log writes swallow their errors, so a fetch that outlives shutdown can't crash on the closed
+  // store; shutdown waits for pendingLogWrites to drain first
+  function trackLogWrite(write) {
+    pendingLogWrites++;
+    write.catch(() => {}).then(() => pendingLogWrites--);
+  }
+
+  // Fire-and-forget SQLite write. Without a callback sqlite3 raises a failed statement as an 'error'
+  // event on the db, which crashes the process (always, once shutdown has closed it); this logs the
+  // failure instead and is drained by shutdown like the log writes
+  function runInBackground(sql, params, description) {
+    trackLogWrite(runSql(sql, params).catch(error => console.error(`❌ Failed to ${description}:`, error.message)));
+  }
+
+  function logFetchAttempt(status, tokensCount = 0, errorMessage = null, responseTime = 0) {
+    trackLogWrite(storage.logFetch({
+      timestamp: clock.now(),
+      status,
+      tokens_count: tokensCount,
+      error_message: errorMessage,
+      response_time: responseTime
+    }));
+  }
+
+  function logApiCall(endpoint, status, responseTime, tokensRequested, apiKeyId = null) {
+    trackLogWrite(storage.logApiCall({
+      endpoint,
+      status,
+      timestamp: clock.now(),
+      response_time: responseTime,
+      tokens_requested: tokensRequested,
+      api_key_id: apiKeyId
+    }));
+    
+    observeHistogram(httpRequestMetrics, { route: endpoint, outcome: status }, responseTime / 1000);
+  }
+
+  // Route-level metric for a request (replaces the generic http_<status> row authenticateRequest writes)
+  function logRequestMetric(req, endpoint, status, responseTime, tokensRequested) {
+    req.apiCallLogged = true;
+    logApiCall(endpoint, status, responseTime, tokensRequested, req.apiKey ? req.apiKey.id : null);
+  }
+
+  // Comma-separated query list (ids, vs_currencies), lowercased. A repeated parameter
+  // (?ids=bitcoin&ids=tether) arrives as an array and is joined rather than rejected
+  function parseListParam(value) {
+    const raw = Array.isArray(value) ? value.join(',') : value;
+    return typeof raw === 'string' ? raw.split(',').map(item => item.trim().toLowerCase()).filter(item => item) : [];
+  }
+
+  // Keep only the requested quote currencies (missing quotes are omitted, like CoinGecko)
+  // options.buySell adds <currency>_buy/<currency>_sell, options.mid adds the raw <currency>_mid,
+  // options.provenance adds the provider, NGN FX source/rate and raw upstream values
+  function selectCurrencies(prices, currencies, options = {}) {
+    const selected = {};
+    const keys = [];
+    
+    currencies.forEach(currency => {
+      keys.push(currency);
+      if (options.buySell) keys.push(`${currency}_buy`, `${currency}_sell`);
+      if (options.mid) keys.push(`${currency}_mid`);
+    });
+    
+    keys.forEach(key => {
+      if (prices[key] !== undefined && prices[key] !== null) {
+        selected[key] = prices[key];
+      }
+    });
+    
+    // CoinGecko-style unix seconds, plus where the price came from
+    if (options.lastUpdatedAt && prices.last_updated) {
+      selected.last_updated_at = Math.floor(prices.last_updated / 1000);
+      selected.source = prices.source || null;
+    }
+    
+    // Aggregation found no consensus and fell back to a single provider
+    if (prices.degraded) {
+      selected.degraded = true;
+    }
+    
+    if (options.provenance) {
+      selected.provenance = {
+        source: prices.source || null,
+        fx_source: prices.fx_source || null,
+        fx_rate: prices.fx_rate || null,
+        raw: prices.raw || null
+      };
+    }
+    
+    return selected;
+  }
+
+  function getPriceAgeSeconds(prices) {
+    return prices?.last_updated ? Math.floor((clock.now() - prices.last_updated) / 1000) : null;
+  }
+
+  function isPriceStale(prices) {
+    return !prices?.last_updated || clock.now() - prices.last_updated > CACHE_STALE_DURATION;
+  }
+
+  // Send a price response, applying STALE_PRICE_POLICY per token (entries hold each token's last_updated)
+  function sendPriceResult(res, result, entries) {
+    const staleTokens = Object.keys(result).filter(tokenId => isPriceStale(entries[tokenId]));
+    
+    if (Object.keys(result).some(tokenId => entries[tokenId]?.degraded)) {
+      res.set('X-Price-Degraded', 'true');
+    }
+    
+    if (staleTokens.length > 0) {
+      res.set('X-Price-Stale', staleTokens.join(','));
+      staleTokens.forEach(tokenId => {
+        if (STALE_PRICE_POLICY === 'refuse') {
+          delete result[tokenId];
+        } else {
+          result[tokenId] = { ...result[tokenId], stale: true };
+        }
+      });
+      
+      if (Object.keys(result).length === 0) {
+        return res.status(503).json({
+          error: 'Price data is stale',
+          message: `Prices are older than ${CACHE_STALE_DURATION / 1000}s and stale quoting is disabled. Please try again shortly.`,
+          stale_tokens: staleTokens
+        });
+      }
+    }
+    
+    return res.json(markFrozenTokens(result));
+  }
+
+  // Margin engine: rules are matched per token and currency, most specific first
+  function parseMarginRule(row) {
+    return {
+      id: row.id,
+      token_id: row.token_id,
+      currency: row.currency,
+      type: row.type,
+      value: row.value,
+      tiers: row.tiers ? JSON.parse(row.tiers) : null,
+      min_margin: row.min_margin,
+      max_margin: row.max_margin,
+      side: row.side,
+      enabled: !!row.enabled,
+      updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : null
+    };
+  }
+
+  function loadMarginRules() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM margin_rules ORDER BY token_id, currency, side', (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        marginRules = rows.map(parseMarginRule);
+        console.log(`💰 Loaded ${marginRules.length} margin rule(s)`);
+        resolve(marginRules);
+      });
+    });
+  }
+
+  function findMarginRule(tokenId, currency, side = 'default') {
+    const candidates = [
+      [tokenId, currency],
+      [tokenId, '*'],
+      ['*', currency],
+      ['*', '*']
+    ];
+    const sides = side === 'default' ? ['default'] : [side, 'default'];
+    
+    for (const ruleSide of sides) {
+      for (const [ruleToken, ruleCurrency] of candidates) {
+        const rule = marginRules.find(r => 
+          r.enabled && r.side === ruleSide && r.token_id === ruleToken && r.currency === ruleCurrency
+        );
+        if (rule) return rule;
+      }
+    }
+    
+    return null;
+  }
+
+  // Flat and percentage margins, used directly and inside each tier
+  function computeBaseMargin(type, value, price) {
+    if (type === 'percentage') {
+      return price * (value / 100);
+    }
+    return value;
+  }
+
+  // Margin amount (in the quote currency) for a token's mid price
+  function calculateMargin(tokenId, currency, price, side = 'default') {
+    const rule = findMarginRule(tokenId, currency, side);
+    if (!rule || price === null || price === undefined) {
+      return 0;
+    }
+    
+    let margin = 0;
+    
+    if (rule.type === 'tiered') {
+      // Tiers are ordered price bands: the first with price < up_to wins, up_to null is open-ended
+      const tier = (rule.tiers || []).find(t => t.up_to === null || t.up_to === undefined || price < t.up_to);
+      if (tier) {
+        margin = computeBaseMargin(tier.type, tier.value, price);
+      }
+    } else {
+      margin = computeBaseMargin(rule.type, rule.value, price);
+    }
+    
+    if (rule.min_margin !== null && rule.min_margin !== undefined) {
+      margin = Math.max(margin, rule.min_margin);
+    }
+    if (rule.max_margin !== null && rule.max_margin !== undefined) {
+      margin = Math.min(margin, rule.max_margin);
+    }
+    
+    return margin;
+  }
+
+  // Buy and default quotes add the margin to the mid price, sell quotes subtract it
+  function applyMargin(tokenId, currency, price, side = 'default') {
+    if (price === null || price === undefined) {
+      return price;
+    }
+    
+    const margin = calculateMargin(tokenId, currency, price, side);
+    if (side === 'sell') {
+      return Math.max(price - margin, 0);
+    }
+    return price + margin;
+  }
+
+  // Turn a token's mid prices into the cached quote shape: <currency>, <currency>_mid/_buy/_sell
+  function buildQuotes(tokenId, midPrices) {
+    const quotes = {};
+    
+    SUPPORTED_VS_CURRENCIES.forEach(currency => {
+      const mid = midPrices[currency];
+      if (!mid) return;
+      
+      quotes[currency] = applyMargin(tokenId, currency, mid);
+      quotes[`${currency}_mid`] = mid;
+      quotes[`${currency}_buy`] = applyMargin(tokenId, currency, mid, 'buy');
+      quotes[`${currency}_sell`] = applyMargin(tokenId, currency, mid, 'sell');
+    });
+    
+    return quotes;
+  }
+
+  // The values a provider actually returned for a token (adapters leave unquoted currencies null)
+  function upstreamValues(prices) {
+    return Object.fromEntries(Object.entries(prices).filter(([, value]) => value !== null && value !== undefined));
+  }
+
+  // Keep each token's untouched upstream values; NGN quoted by the provider itself needs no FX rate
+  function recordRawValues(tokenData, providerName) {
+    Object.values(tokenData).forEach(prices => {
+      prices.raw = { [providerName]: upstreamValues(prices) };
+      if (prices.ngn) prices.fx_source = providerName;
+    });
+    return tokenData;
+  }
+
+  // Provenance cached alongside a token's quotes (source itself is set by whoever fetched it)
+  function priceProvenance(prices) {
+    return {
+      fx_source: prices.fx_source || null,
+      fx_rate: prices.fx_rate || (prices.usd && prices.ngn ? prices.ngn / prices.usd : null),
+      raw: prices.raw || null,
+      ...(prices.degraded ? { degraded: true } : {})
+    };
+  }
+
+  // Short description of the active rule set for /health and /
+  function describeMarginRules() {
+    return marginRules
+      .filter(rule => rule.enabled)
+      .map(rule => {
+        let summary;
+        if (rule.type === 'flat') {
+          summary = `+${rule.value} ${rule.currency.toUpperCase()}`;
+        } else if (rule.type === 'percentage') {
+          summary = `+${rule.value}%`;
+        } else {
+          summary = `tiered (${(rule.tiers || []).length} bands)`;
+        }
+        
+        return {
+          token_id: rule.token_id,
+          currency: rule.currency,
+          side: rule.side,
+          type: rule.type,
+          summary,
+          min_margin: rule.min_margin,
+          max_margin: rule.max_margin
+        };
+      });
+  }
+
+  // Returns an error message, or null when the rule body is valid
+  function validateMarginRule(rule) {
+    const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+    const isOptionalNumber = v => v === undefined || v === null || isNumber(v);
+    
+    if (!MARGIN_RULE_TYPES.includes(rule.type)) {
+      return `type must be one of: ${MARGIN_RULE_TYPES.join(', ')}`;
+    }
+    if (!MARGIN_SIDES.includes(rule.side)) {
+      return `side must be one of: ${MARGIN_SIDES.join(', ')}`;
+    }
+    if (rule.currency !== '*' && !SUPPORTED_VS_CURRENCIES.includes(rule.currency)) {
+      return `currency must be '*' or one of: ${SUPPORTED_VS_CURRENCIES.join(', ')}`;
+    }
+    if (!rule.token_id || typeof rule.token_id !== 'string') {
+      return 'token_id must be a token id or \'*\'';
+    }
+    if (rule.type !== 'tiered' && !isNumber(rule.value)) {
+      return 'value must be a number';
+    }
+    if (rule.type === 'tiered') {
+      if (!Array.isArray(rule.tiers) || rule.tiers.length === 0) {
+        return 'tiers must be a non-empty array of { up_to, type, value }';
+      }
+      for (const tier of rule.tiers) {
+        if (!['flat', 'percentage'].includes(tier.type) || !isNumber(tier.value) || !isOptionalNumber(tier.up_to)) {
+          return 'each tier needs type (flat|percentage), numeric value and numeric or null up_to';
+        }
+      }
+    }
+    if (!isOptionalNumber(rule.min_margin) || !isOptionalNumber(rule.max_margin)) {
+      return 'min_margin and max_margin must be numbers';
+    }
+    if (isNumber(rule.min_margin) && isNumber(rule.max_margin) && rule.min_margin > rule.max_margin) {
+      return 'min_margin cannot be greater than max_margin';
+    }
+    
+    return null;
+  }
+
+  // Token registry: the single source of CoinGecko id, symbol, CMC id, chain/contract and decimals
+  function parseRegistryToken(row) {
+    return {
+      coingecko_id: row.coingecko_id,
+      symbol: row.symbol,
+      cmc_id: row.cmc_id ?? null,
+      chain_id: row.chain_id ?? null,
+      contract_address: row.contract_address ?? null,
+      decimals: row.decimals ?? null,
+      is_default: row.is_default === undefined ? true : !!row.is_default
+    };
+  }
+
+  function saveRegistryToken(token) {
+    return new Promise((resolve, reject) => {
+      const now = clock.now();
+      
+      runWrite(`INSERT INTO token_registry 
+        (coingecko_id, symbol, cmc_id, chain_id, contract_address, decimals, is_default, created_at, updated_at) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (coingecko_id) DO UPDATE SET 
+          symbol = excluded.symbol,
+          cmc_id = excluded.cmc_id,
+          chain_id = excluded.chain_id,
+          contract_address = excluded.contract_address,
+          decimals = excluded.decimals,
+          is_default = excluded.is_default,
+          updated_at = excluded.updated_at`, [
+        token.coingecko_id,
+        token.symbol,
+        token.cmc_id ?? null,
+        token.chain_id ?? null,
+        token.contract_address ? token.contract_address.toLowerCase() : null,
+        token.decimals ?? null,
+        token.is_default === false ? 0 : 1,
+        now,
+        now
+      ], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  async function loadTokenRegistry(seedIfEmpty = false) {
+    let rows = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM token_registry ORDER BY created_at, coingecko_id', (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+    
+    if (rows.length === 0 && seedIfEmpty) {
+      console.log(`🪙 Token registry empty - seeding ${REGISTRY_SEED_TOKENS.length} tokens`);
+      for (const token of REGISTRY_SEED_TOKENS) {
+        await saveRegistryToken(token);
+      }
+      rows = REGISTRY_SEED_TOKENS;
+    }
+    
+    tokenRegistry = new Map(rows.map(row => [row.coingecko_id, parseRegistryToken(row)]));
+    console.log(`🪙 Loaded ${tokenRegistry.size} token(s) from registry`);
+    return tokenRegistry;
+  }
+
+  // Tokens the background loop always fetches
+  function getDefaultTokens() {
+    return [...tokenRegistry.values()]
+      .filter(token => token.is_default)
+      .map(token => token.coingecko_id);
+  }
+
+  function getRegistryToken(tokenId) {
+    return tokenRegistry.get(tokenId) || null;
+  }
+
+  // Reverse lookups for provider responses (default tokens win when a symbol is shared)
+  function findRegistryTokenBy(field, value) {
+    const matches = [...tokenRegistry.values()].filter(token => 
+      token[field] !== null && String(token[field]).toLowerCase() === String(value).toLowerCase()
+    );
+    return matches.find(token => token.is_default) || matches[0] || null;
+  }
+
+  // Returns an error message, or null when the registry entry is valid
+  function validateRegistryToken(token) {
+    const isOptionalInteger = v => v === undefined || v === null || Number.isInteger(v);
+    
+    if (!token.coingecko_id || !TOKEN_ID_PATTERN.test(token.coingecko_id)) {
+      return 'coingecko_id must be a lowercase CoinGecko id';
+    }
+    if (!token.symbol || typeof token.symbol !== 'string') {
+      return 'symbol is required';
+    }
+    if (!isOptionalInteger(token.cmc_id) || !isOptionalInteger(token.chain_id) || !isOptionalInteger(token.decimals)) {
+      return 'cmc_id, chain_id and decimals must be integers';
+    }
+    if (token.decimals !== undefined && token.decimals !== null && (token.decimals < 0 || token.decimals > 36)) {
+      return 'decimals must be between 0 and 36';
+    }
+    if (token.contract_address && !/^0x[0-9a-fA-F]{40}$/.test(token.contract_address)) {
+      return 'contract_address must be a 0x-prefixed 20-byte hex address';
+    }
+    if (token.contract_address && !token.chain_id) {
+      return 'chain_id is required when contract_address is set';
+    }
+    
+    return null;
+  }
+
+  // Price guards: anomalous moves keep the last good value and freeze the token until released
+  function parsePriceGuard(row) {
+    return {
+      token_id: row.token_id,
+      max_change_percent: row.max_change_percent ?? null,
+      peg_target: row.peg_target ?? null,
+      peg_band_percent: row.peg_band_percent ?? null,
+      enabled: row.enabled === undefined ? true : !!row.enabled
+    };
+  }
+
+  function savePriceGuard(guard) {
+    return new Promise((resolve, reject) => {
+      runWrite(`INSERT OR REPLACE INTO price_guards 
+        (token_id, max_change_percent, peg_target, peg_band_percent, enabled, updated_at) 
+        VALUES (?, ?, ?, ?, ?, ?)`, [
+        guard.token_id,
+        guard.max_change_percent ?? null,
+        guard.peg_target ?? null,
+        guard.peg_band_percent ?? null,
+        guard.enabled === false ? 0 : 1,
+        clock.now()
+      ], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  async function loadPriceGuards(seedIfEmpty = false) {
+    let rows = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM price_guards ORDER BY token_id', (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+    
+    if (rows.length === 0 && seedIfEmpty) {
+      for (const guard of PRICE_GUARD_SEED) {
+        await savePriceGuard(guard);
+      }
+      rows = PRICE_GUARD_SEED;
+    }
+    
+    priceGuards = new Map(rows.map(row => [row.token_id, parsePriceGuard(row)]));
+    console.log(`🛡️ Loaded ${priceGuards.size} price guard(s)`);
+    return priceGuards;
+  }
+
+  function loadFrozenTokens() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM frozen_tokens', (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        frozenTokens = new Map(rows.map(row => [row.token_id, {
+          reason: row.reason,
+          observed_price: row.observed_price,
+          last_good_price: row.last_good_price,
+          source: row.source,
+          frozen_at: row.frozen_at
+        }]));
+        if (frozenTokens.size > 0) {
+          console.log(`🧊 ${frozenTokens.size} token(s) frozen: ${[...frozenTokens.keys()].join(', ')}`);
+        }
+        resolve(frozenTokens);
+      });
+    });
+  }
+
+  function getPriceGuard(tokenId) {
+    const guard = priceGuards.get(tokenId) || priceGuards.get('*');
+    return guard && guard.enabled ? guard : null;
+  }
+
+  // Returns the breach for a new USD price, or null when it passes every guard
+  function checkPriceGuards(tokenId, usdPrice) {
+    const guard = getPriceGuard(tokenId);
+    if (!guard) return null;
+    
+    if (guard.peg_target !== null && guard.peg_band_percent !== null) {
+      const deviationPercent = Math.abs(usdPrice - guard.peg_target) / guard.peg_target * 100;
+      if (deviationPercent > guard.peg_band_percent) {
+        return {
+          alert_type: 'peg_break',
+          reference_price: guard.peg_target,
+          threshold_percent: guard.peg_band_percent,
+          message: `${tokenId} at $${usdPrice} is ${deviationPercent.toFixed(2)}% off its $${guard.peg_target} peg`
+        };
+      }
+    }
+    
+    const lastGood = memoryCache[tokenId]?.usd_mid ?? memoryCache[tokenId]?.usd;
+    if (guard.max_change_percent !== null && lastGood && !releasedTokens.has(tokenId)) {
+      const changePercent = Math.abs(usdPrice - lastGood) / lastGood * 100;
+      if (changePercent > guard.max_change_percent) {
+        return {
+          alert_type: 'max_change',
+          reference_price: lastGood,
+          threshold_percent: guard.max_change_percent,
+          message: `${tokenId} moved ${changePercent.toFixed(2)}% ($${lastGood} -> $${usdPrice}) in one fetch`
+        };
+      }
+    }
+    
+    return null;
+  }
+
+  function recordPriceAlert(tokenId, breach, observedPrice, source) {
+    runInBackground(`INSERT INTO price_alerts 
+      (token_id, alert_type, observed_price, reference_price, threshold_percent, source, message, created_at) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`, [
+      tokenId,
+      breach.alert_type,
+      observedPrice,
+      breach.reference_price,
+      breach.threshold_percent,
+      source,
+      breach.message,
+      clock.now()
+    ], `record the ${tokenId} price alert`);
+  }
+
+  function freezeToken(tokenId, breach, observedPrice, source) {
+    const entry = {
+      reason: breach.alert_type,
+      observed_price: observedPrice,
+      last_good_price: memoryCache[tokenId]?.usd_mid ?? memoryCache[tokenId]?.usd ?? null,
+      source,
+      frozen_at: clock.now()
+    };
+    
+    frozenTokens.set(tokenId, entry);
+    runInBackground(`INSERT OR REPLACE INTO frozen_tokens 
+      (token_id, reason, observed_price, last_good_price, source, frozen_at) 
+      VALUES (?, ?, ?, ?, ?, ?)`,
+      [tokenId, entry.reason, entry.observed_price, entry.last_good_price, entry.source, entry.frozen_at], `persist the ${tokenId} freeze`);
+    
+    console.error(`🧊 FROZEN ${tokenId}: ${breach.message}`);
+    publishStreamEvent('frozen', { token_id: tokenId, ...entry, message: breach.message });
+  }
+
+  function releaseFrozenToken(tokenId, releasedBy) {
+    frozenTokens.delete(tokenId);
+    releasedTokens.add(tokenId);
+    
+    db.serialize(() => {
+      runInBackground('DELETE FROM frozen_tokens WHERE token_id = ?', [tokenId], `release ${tokenId}`);
+      runInBackground('UPDATE price_alerts SET released_at = ?, released_by = ? WHERE token_id = ? AND released_at IS NULL',
+        [clock.now(), releasedBy, tokenId], `mark the ${tokenId} alerts released`);
+    });
+    
+    console.log(`🔓 Released ${tokenId} (by ${releasedBy})`);
+    publishStreamEvent('unfrozen', { token_id: tokenId, released_by: releasedBy });
+  }
+
+  // Drop tokens that are frozen or breach a guard, so their last good value keeps being served
+  function applyPriceGuards(tokenData, source) {
+    const accepted = {};
+    
+    Object.entries(tokenData).forEach(([tokenId, prices]) => {
+      if (frozenTokens.has(tokenId)) {
+        return;
+      }
+      
+      const breach = prices.usd ? checkPriceGuards(tokenId, prices.usd) : null;
+      if (breach) {
+        recordPriceAlert(tokenId, breach, prices.usd, source);
+        freezeToken(tokenId, breach, prices.usd, source);
+        return;
+      }
+      
+      releasedTokens.delete(tokenId);
+      accepted[tokenId] = prices;
+    });
+    
+    return accepted;
+  }
+
+  // Flag frozen tokens in a price response (unfrozen tokens keep the plain shape)
+  function markFrozenTokens(result) {
+    Object.keys(result).forEach(tokenId => {
+      if (frozenTokens.has(tokenId)) {
+        result[tokenId] = { ...result[tokenId], is_frozen: true };
+      }
+    });
+    return result;
+  }
+
+  // Price stream (SSE): every cache update and freeze/release is an event with an increasing id,
+  // the last STREAM_REPLAY_BUFFER_SIZE of which are kept so reconnecting clients can resume
+  function publishStreamEvent(type, data) {
+    const event = { id: ++streamEventId, type, data };
+    
+    streamEvents.push(event);
+    if (streamEvents.length > STREAM_REPLAY_BUFFER_SIZE) {
+      streamEvents.shift();
+    }
+    
+    streamSubscribers.forEach(subscriber => sendStreamEvent(subscriber, event));
+  }
+
+  function publishPriceUpdate(tokenData) {
+    if (Object.keys(tokenData).length > 0) {
+      publishStreamEvent('prices', tokenData);
+    }
+  }
+
+  function writeStreamEvent(subscriber, id, type, payload) {
+    subscriber.res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  // Each subscriber only sees its own tokens and currencies
+  function sendStreamEvent(subscriber, event) {
+    if (event.type === 'prices') {
+      const payload = {};
+      subscriber.tokens.forEach(tokenId => {
+        if (event.data[tokenId]) {
+          payload[tokenId] = selectCurrencies(event.data[tokenId], subscriber.currencies, subscriber.options);
+        }
+      });
+      
+      if (Object.keys(payload).length > 0) {
+        writeStreamEvent(subscriber, event.id, event.type, payload);
+      }
+    } else if (subscriber.tokens.includes(event.data.token_id)) {
+      writeStreamEvent(subscriber, event.id, event.type, event.data);
+    }
+  }
+
+  // Current cached prices for a subscriber (sent on connect, or when its Last-Event-ID is too old)
+  function sendStreamSnapshot(subscriber) {
+    const snapshot = {};
+    subscriber.tokens.forEach(tokenId => {
+      if (memoryCache[tokenId]) {
+        snapshot[tokenId] = selectCurrencies(memoryCache[tokenId], subscriber.currencies, subscriber.options);
+      }
+    });
+    
+    writeStreamEvent(subscriber, streamEventId, 'snapshot', markFrozenTokens(snapshot));
+  }
+
+  function sendStreamHeartbeats() {
+    streamSubscribers.forEach(subscriber => {
+      subscriber.res.write(`: heartbeat ${clock.now()}\n\n`);
+      // An open stream counts as demand, so streamed on-demand tokens aren't evicted as idle
+      touchTrackedTokens(subscriber.tokens);
+    });
+  }
+
+  // Outbound webhooks: subscriptions pick event types (and thresholds), deliveries are HMAC-signed,
+  // retried with exponential backoff and moved to webhook_dead_letters after WEBHOOK_MAX_ATTEMPTS
+  function parseWebhookSubscription(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      secret: row.secret,
+      events: JSON.parse(row.events),
+      token_ids: row.token_ids ? JSON.parse(row.token_ids) : null,
+      change_percent: row.change_percent,
+      ngn_levels: row.ngn_levels ? JSON.parse(row.ngn_levels) : null,
+      enabled: !!row.enabled,
+      created_at: row.created_at
+    };
+  }
+
+  function loadWebhookSubscriptions() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM webhook_subscriptions ORDER BY id', (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        webhookSubscriptions = rows.map(parseWebhookSubscription);
+        console.log(`🪝 Loaded ${webhookSubscriptions.length} webhook subscription(s)`);
+        resolve(webhookSubscriptions);
+      });
+    });
+  }
+
+  // Secrets are only shown when a subscription is created
+  function describeWebhookSubscription(subscription) {
+    const { secret, ...rest } = subscription;
+    return { ...rest, created_at: new Date(subscription.created_at).toISOString() };
+  }
+
+  function validateWebhookSubscription(subscription) {
+    if (!/^https?:\/\/\S+$/.test(subscription.url || '')) {
+      return 'url must be an http(s) URL';
+    }
+    if (!Array.isArray(subscription.events) || subscription.events.length === 0 ||
+        subscription.events.some(event => !WEBHOOK_EVENT_TYPES.includes(event))) {
+      return `events must be a non-empty array of: ${WEBHOOK_EVENT_TYPES.join(', ')}`;
+    }
+    if (subscription.token_ids !== null && (!Array.isArray(subscription.token_ids) || subscription.token_ids.some(id => !TOKEN_ID_PATTERN.test(id)))) {
+      return 'token_ids must be an array of token ids (or omitted for all tokens)';
+    }
+    if (subscription.events.includes('price.moved') && !(subscription.change_percent > 0)) {
+      return 'price.moved needs a positive change_percent';
+    }
+    if (subscription.events.includes('fx.ngn_crossed') && (!Array.isArray(subscription.ngn_levels) ||
+        subscription.ngn_levels.length === 0 || subscription.ngn_levels.some(level => typeof level !== 'number' || !(level > 0)))) {
+      return 'fx.ngn_crossed needs ngn_levels, an array of positive rates';
+    }
+    return null;
+  }
+
+  function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Queue one delivery per matching subscription (filter decides per subscription)
+  function emitWebhookEvent(type, data, filter = () => true) {
+    const subscriptions = webhookSubscriptions.filter(subscription =>
+      subscription.enabled && subscription.events.includes(type) && filter(subscription));
+    if (subscriptions.length === 0) return;
+    
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      created_at: new Date(clock.now()).toISOString(),
+      data
+    };
+    console.log(`🪝 Webhook event ${type} -> ${subscriptions.length} subscription(s)`);
+    
+    subscriptions.forEach(subscription => {
+      queueWebhookDelivery(subscription, event).catch(error =>
+        console.error(`❌ Failed to queue webhook ${event.id}:`, error.message));
+    });
+  }
+
+  function queueWebhookDelivery(subscription, event) {
+    return new Promise((resolve, reject) => {
+      const now = clock.now();
+      runWrite(`INSERT INTO webhook_deliveries 
+        (subscription_id, event_id, event_type, payload, status, attempts, next_attempt_at, created_at) 
+        VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)`,
+        [subscription.id, event.id, event.type, JSON.stringify(event), now, now], function (err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          
+          attemptWebhookDelivery({ id: this.lastID, subscription_id: subscription.id, event_type: event.type, payload: JSON.stringify(event), attempts: 0 });
+          resolve(this.lastID);
+        });
+    });
+  }
+
+  async function attemptWebhookDelivery(delivery) {
+    if (webhookDeliveriesInFlight.has(delivery.id)) return;
+    
+    const subscription = webhookSubscriptions.find(s => s.id === delivery.subscription_id);
+    if (!subscription) {
+      runInBackground(`UPDATE webhook_deliveries SET status = 'failed', error = ? WHERE id = ?`, ['subscription deleted', delivery.id],
+        `update webhook delivery ${delivery.id}`);
+      return;
+    }
+    
+    webhookDeliveriesInFlight.add(delivery.id);
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(clock.now() / 1000);
+    let responseStatus = null;
+    let errorMessage = null;
+    
+    try {
+      const response = await upstream.post(subscription.url, delivery.payload, {
+        timeout: WEBHOOK_TIMEOUT,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PayCrypt-Webhooks/1.0',
+          'X-PayCrypt-Event': delivery.event_type,
+          'X-PayCrypt-Delivery': String(delivery.id),
+          'X-PayCrypt-Timestamp': String(timestamp),
+          'X-PayCrypt-Signature': `sha256=${signWebhookPayload(subscription.secret, timestamp, delivery.payload)}`
+        }
+      });
+      responseStatus = response.status;
+    } catch (error) {
+      responseStatus = error.response?.status || null;
+      errorMessage = error.message;
+    }
+    
+    const now = clock.now();
+    if (!errorMessage) {
+      runInBackground(`UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, error = NULL, delivered_at = ? WHERE id = ?`,
+        [attempts, responseStatus, now, delivery.id], `update webhook delivery ${delivery.id}`);
+    } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      console.error(`🪝 Webhook ${delivery.id} dead-lettered after ${attempts} attempts: ${errorMessage}`);
+      db.serialize(() => {
+        runInBackground(`UPDATE webhook_deliveries SET status = 'failed', attempts = ?, response_status = ?, error = ? WHERE id = ?`,
+          [attempts, responseStatus, errorMessage, delivery.id], `update webhook delivery ${delivery.id}`);
+        runInBackground(`INSERT INTO webhook_dead_letters 
+          (delivery_id, subscription_id, event_type, payload, attempts, last_error, created_at) 
+          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [delivery.id, delivery.subscription_id, delivery.event_type, delivery.payload, attempts, errorMessage, now],
+          `dead-letter webhook delivery ${delivery.id}`);
+      });
+    } else {
+      const retryDelay = WEBHOOK_RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+      console.log(`🪝 Webhook ${delivery.id} failed (${errorMessage}), retrying in ${retryDelay / 1000}s`);
+      runInBackground(`UPDATE webhook_deliveries SET status = 'retrying', attempts = ?, response_status = ?, error = ?, next_attempt_at = ? WHERE id = ?`,
+        [attempts, responseStatus, errorMessage, now + retryDelay, delivery.id], `update webhook delivery ${delivery.id}`);
+    }
+    
+    webhookDeliveriesInFlight.delete(delivery.id);
+  }
+
+  // Picks up due retries (and deliveries left pending by a restart)
+  function retryDueWebhooks() {
+    db.all(`SELECT id, subscription_id, event_type, payload, attempts FROM webhook_deliveries 
+      WHERE status IN ('pending', 'retrying') AND next_attempt_at <= ? 
+      ORDER BY next_attempt_at LIMIT 50`, [clock.now()], (err, rows) => {
+      if (err) {
+        console.error('❌ Webhook retry query failed:', err.message);
+        return;
+      }
+      
+      rows.forEach(row => attemptWebhookDelivery(row));
+    });
+  }
+
+  // price.moved: compares each fetched token with the value it replaces in the memory cache
+  function emitPriceMoveWebhooks(previousCache, tokenData, source) {
+    Object.entries(tokenData).forEach(([tokenId, prices]) => {
+      const previous = previousCache[tokenId]?.usd_mid ?? previousCache[tokenId]?.usd;
+      const current = prices.usd_mid ?? prices.usd;
+      if (!previous || !current || previous === current) return;
+      
+      const changePercent = (current - previous) / previous * 100;
+      emitWebhookEvent('price.moved', {
+        token_id: tokenId,
+        previous_usd: previous,
+        usd: current,
+        change_percent: Math.round(changePercent * 100) / 100,
+        source
+      }, subscription =>
+        Math.abs(changePercent) >= subscription.change_percent &&
+        (!subscription.token_ids || subscription.token_ids.includes(tokenId)));
+    });
+  }
+
+  // fx.ngn_crossed: one event per subscribed level between the old and new rate
+  function emitNGNRateWebhooks(previousRate, rate, source) {
+    if (!previousRate || previousRate === rate) return;
+    
+    const levels = new Set(webhookSubscriptions.flatMap(subscription => subscription.ngn_levels || []));
+    levels.forEach(level => {
+      const crossed = (previousRate < level && rate >= level) || (previousRate >= level && rate < level);
+      if (!crossed) return;
+      
+      emitWebhookEvent('fx.ngn_crossed', {
+        level,
+        direction: rate >= level ? 'up' : 'down',
+        previous_rate: previousRate,
+        rate,
+        source
+      }, subscription => (subscription.ngn_levels || []).includes(level));
+    });
+  }
+
+  // providers.*: only state changes are sent, not every failed cycle
+  function emitProviderStateWebhook(state, data) {
+    if (state === providerOutageState) return;
+    
+    const previousState = providerOutageState;
+    providerOutageState = state;
+    
+    if (state === null) {
+      emitWebhookEvent('providers.recovered', { previous_state: previousState, ...data });
+    } else {
+      emitWebhookEvent(`providers.${state}`, data);
+    }
+  }
+
+  // Runtime configuration layers (see CONFIG_SCHEMA)
+  function validateConfigValue(key, value) {
+    const schema = CONFIG_SCHEMA[key];
+    if (!schema) return `Unknown config key: ${key}`;
+    
+    if (schema.type === 'integer') {
+      if (!Number.isInteger(value)) return `${key} must be an integer`;
+      if (value < schema.min || value > schema.max) return `${key} must be between ${schema.min} and ${schema.max}`;
+    } else if (schema.type === 'origins') {
+      if (!Array.isArray(value) || value.some(origin => typeof origin !== 'string' || !/^https?:\/\/[^/\s]+$/.test(origin))) {
+        return `${key} must be an array of origins like https://example.com (no trailing slash)`;
+      }
+    }
+    return null;
+  }
+
+  function parseConfigEnv(key, raw) {
+    const schema = CONFIG_SCHEMA[key];
+    if (schema.type === 'integer') return Number(raw);
+    return raw.split(',').map(item => item.trim()).filter(item => item);
+  }
+
+  // Defaults, then CONFIG_FILE, then env, then createApp's config (synchronous so CORS can start from it)
+  function loadConfigLayers() {
+    let fileConfig = {};
+    
+    try {
+      if (process.env.CONFIG_FILE) {
+        fileConfig = JSON.parse(fs.readFileSync(process.env.CONFIG_FILE, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`❌ Invalid config file, ignoring it: ${error.message}`);
+    }
+    
+    Object.entries(CONFIG_SCHEMA).forEach(([key, schema]) => {
+      baseConfig[key] = { value: schema.default, source: 'default' };
+      
+      const layers = [
+        ['file', fileConfig[key]],
+        ['env', process.env[schema.env] !== undefined ? parseConfigEnv(key, process.env[schema.env]) : undefined],
+        ['options', options.config?.[key]]
+      ];
+      layers.forEach(([source, value]) => {
+        if (value === undefined) return;
+        
+        const validationError = validateConfigValue(key, value);
+        if (validationError) {
+          console.error(`❌ Ignoring ${source} config: ${validationError}`);
+        } else {
+          baseConfig[key] = { value, source };
+        }
+      });
+      
+      runtimeConfig[key] = baseConfig[key].value;
+      configSources[key] = baseConfig[key].source;
+    });
+  }
+
+  function loadConfigOverrides() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT key, value FROM config_overrides', (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        rows.forEach(row => {
+          const value = JSON.parse(row.value);
+          const validationError = validateConfigValue(row.key, value);
+          if (validationError) {
+            console.error(`❌ Ignoring stored config override: ${validationError}`);
+            return;
+          }
+          
+          runtimeConfig[row.key] = value;
+          configSources[row.key] = 'database';
+          onConfigChanged(row.key);
+        });
+        
+        if (rows.length > 0) {
+          console.log(`⚙️ Applied ${rows.length} config override(s): ${rows.map(row => row.key).join(', ')}`);
+        }
+        resolve(rows);
+      });
+    });
+  }
+
+  function recordConfigAudit(key, action, oldValue, newValue, changedBy) {
+    runInBackground(`INSERT INTO config_audit (key, action, old_value, new_value, changed_by, changed_at) 
+      VALUES (?, ?, ?, ?, ?, ?)`,
+      [key, action, JSON.stringify(oldValue), JSON.stringify(newValue), changedBy, clock.now()], `audit the ${key} change`);
+  }
+
+  function setConfigOverride(key, value, changedBy) {
+    return new Promise((resolve, reject) => {
+      const oldValue = runtimeConfig[key];
+      
+      runWrite(`INSERT OR REPLACE INTO config_overrides (key, value, updated_at, updated_by) VALUES (?, ?, ?, ?)`,
+        [key, JSON.stringify(value), clock.now(), changedBy], (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          
+          runtimeConfig[key] = value;
+          configSources[key] = 'database';
+          recordConfigAudit(key, 'set', oldValue, value, changedBy);
+          onConfigChanged(key);
+          console.log(`⚙️ ${key} = ${JSON.stringify(value)} (by ${changedBy})`);
+          resolve();
+        });
+    });
+  }
+
+  // Drop the SQLite override so the key falls back to env/file/default
+  function clearConfigOverride(key, changedBy) {
+    return new Promise((resolve, reject) => {
+      runWrite('DELETE FROM config_overrides WHERE key = ?', [key], function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (this.changes === 0) {
+          resolve(false);
+          return;
+        }
+        
+        const oldValue = runtimeConfig[key];
+        runtimeConfig[key] = baseConfig[key].value;
+        configSources[key] = baseConfig[key].source;
+        recordConfigAudit(key, 'reset', oldValue, runtimeConfig[key], changedBy);
+        onConfigChanged(key);
+        console.log(`⚙️ ${key} reset to ${JSON.stringify(runtimeConfig[key])} from ${configSources[key]} (by ${changedBy})`);
+        resolve(true);
+      });
+    });
+  }
+
+  // Most keys are read live; the ones that feed a timer need it rebuilt
+  function onConfigChanged(key) {
+    if (key === 'background_fetch_interval_ms' && backgroundFetchTimer) {
+      scheduleBackgroundFetch();
+    }
+  }
+
+  function describeConfig() {
+    return Object.entries(CONFIG_SCHEMA).map(([key, schema]) => ({
+      key,
+      value: runtimeConfig[key],
+      source: configSources[key],
+      default: schema.default,
+      env: schema.env,
+      min: schema.min,
+      max: schema.max,
+      description: schema.description
+    }));
+  }
+
+  // API keys: only the SHA-256 of each key is stored; scopes gate route groups (see requiredScopeFor)
+  function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  function parseApiKey(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      key_prefix: row.key_prefix,
+      key_hash: row.key_hash,
+      scopes: JSON.parse(row.scopes),
+      rate_limit_per_minute: row.rate_limit_per_minute,
+      daily_quota: row.daily_quota,
+      enabled: !!row.enabled,
+      created_at: row.created_at,
+      last_used_at: row.last_used_at,
+      revoked_at: row.revoked_at
+    };
+  }
+
+  function describeApiKey(apiKey) {
+    const { key_hash, ...rest } = apiKey;
+    return {
+      ...rest,
+      created_at: new Date(apiKey.created_at).toISOString(),
+      last_used_at: apiKey.last_used_at ? new Date(apiKey.last_used_at).toISOString() : null,
+      revoked_at: apiKey.revoked_at ? new Date(apiKey.revoked_at).toISOString() : null,
+      requests_today: quotaUsage.counts.get(apiKey.id) || 0
+    };
+  }
+
+  async function loadApiKeys() {
+    const rows = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM api_keys ORDER BY id', (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+    
+    apiKeys = new Map(rows.map(row => [row.key_hash, parseApiKey(row)]));
+    
+    // Seed today's quota usage from api_metrics so a restart doesn't reset quotas
+    const usage = await storage.apiKeyCallCounts(startOfUTCDay());
+    quotaUsage = { day: startOfUTCDay(), counts: new Map(usage.map(row => [row.api_key_id, row.count])) };
+    
+    console.log(`🔑 Loaded ${apiKeys.size} API key(s)${ADMIN_API_KEY ? ' + ADMIN_API_KEY' : ''}`);
+    if (!ADMIN_API_KEY && ![...apiKeys.values()].some(k => k.enabled && k.scopes.includes('admin'))) {
+      console.warn('⚠️ No admin API key configured - set ADMIN_API_KEY to reach /admin routes');
+    }
+    return apiKeys;
+  }
+
+  function startOfUTCDay(now = clock.now()) {
+    return now - (now % DAY_MS);
+  }
+
+  // Express routes match case-insensitively and ignore a trailing slash, so the scope check has to as well
+  function normalizeRoutePath(path) {
+    return path.toLowerCase().replace(/\/+$/, '') || '/';
+  }
+
+  function requiredScopeFor(path) {
+    if (OPEN_PATHS.includes(path)) return null;
+    if (path.startsWith('/admin/')) return 'admin';
+    // Creating a quote stores a signed row, so it needs a key just like redeeming one
+    if (path === '/quotes' || /^\/quotes\/[^/]+\/consume$/.test(path)) return 'checkout';
+    if (path === '/metrics') return 'ops';
+    if (['/database/', '/fetch/', '/test/', '/providers'].some(prefix => path.startsWith(prefix))) return 'ops';
+    return 'public';
+  }
+
+  function hasScope(apiKey, scope) {
+    return apiKey.scopes.some(granted => (API_KEY_SCOPES[granted] || []).includes(scope));
+  }
+
+  function findApiKey(req, path) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    // EventSource can't set headers, so the stream (and only the stream) also accepts ?api_key=
+    const queryKey = path === '/api/v3/stream' && typeof req.query.api_key === 'string' ? req.query.api_key : null;
+    const key = req.get('X-API-Key') || (bearer && bearer[1]) || queryKey;
+    if (!key) return { key: null, apiKey: null };
+    
+    if (ADMIN_API_KEY && key === ADMIN_API_KEY) {
+      return { key, apiKey: { id: 0, name: 'ADMIN_API_KEY', scopes: ['admin'], rate_limit_per_minute: null, daily_quota: null, enabled: true } };
+    }
+    return { key, apiKey: apiKeys.get(hashApiKey(key)) || null };
+  }
+
+  function rateLimitBucket(req) {
+    return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+  }
+
+  // Fixed one-minute windows per key (or per IP for anonymous public reads)
+  function consumeRateLimit(bucket, limit, res) {
+    const now = clock.now();
+    const windowStart = now - (now % 60000);
+    if (rateLimitWindow.start !== windowStart) {
+      rateLimitWindow = { start: windowStart, counts: new Map() };
+    }
+    
+    const count = (rateLimitWindow.counts.get(bucket) || 0) + 1;
+    rateLimitWindow.counts.set(bucket, count);
+    
+    res.set('X-RateLimit-Limit', String(limit));
+    res.set('X-RateLimit-Remaining', String(Math.max(limit - count, 0)));
+    res.set('X-RateLimit-Reset', String(Math.ceil((windowStart + 60000) / 1000)));
+    
+    if (count > limit) {
+      res.set('Retry-After', String(Math.ceil((windowStart + 60000 - now) / 1000)));
+      return false;
+    }
+    return true;
+  }
+
+  function consumeDailyQuota(apiKey, res) {
+    const today = startOfUTCDay();
+    if (quotaUsage.day !== today) {
+      quotaUsage = { day: today, counts: new Map() };
+    }
+    
+    const used = (quotaUsage.counts.get(apiKey.id) || 0) + 1;
+    quotaUsage.counts.set(apiKey.id, used);
+    
+    res.set('X-Quota-Limit', String(apiKey.daily_quota));
+    res.set('X-Quota-Remaining', String(Math.max(apiKey.daily_quota - used, 0)));
+    return used <= apiKey.daily_quota;
+  }
+
+  function touchApiKey(apiKey) {
+    const now = clock.now();
+    if (apiKey.id && (!apiKey.last_used_at || now - apiKey.last_used_at > API_KEY_TOUCH_INTERVAL)) {
+      apiKey.last_used_at = now;
+      runInBackground('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [now, apiKey.id], `touch API key ${apiKey.id}`);
+    }
+  }
+
+  // Attach req.apiKey, enforce scope, rate limit and quota, and record usage in api_metrics
+  function authenticateRequest(req, res, next) {
+    const path = normalizeRoutePath(req.path);
+    const scope = requiredScopeFor(path);
+    if (!scope) return next();
+    
+    const startTime = clock.now();
+    const { key, apiKey } = findApiKey(req, path);
+    
+    if (key && (!apiKey || !apiKey.enabled)) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+    if (!apiKey && (scope !== 'public' || REQUIRE_API_KEY)) {
+      return res.status(401).json({ error: 'API key required', required_scope: scope });
+    }
+    if (apiKey && !hasScope(apiKey, scope)) {
+      return res.status(403).json({ error: `API key lacks the ${scope} scope`, required_scope: scope });
+    }
+    
+    req.apiKey = apiKey;
+    res.on('finish', () => {
+      if (!req.apiCallLogged) {
+        logApiCall(requestRouteLabel(req), `http_${res.statusCode}`, clock.now() - startTime, null, apiKey ? apiKey.id : null);
+      }
+    });
+    
+    const limit = apiKey ? apiKey.rate_limit_per_minute : ANONYMOUS_RATE_LIMIT_PER_MINUTE;
+    if (limit && !consumeRateLimit(rateLimitBucket(req), limit, res)) {
+      return res.status(429).json({ error: 'Rate limit exceeded', limit_per_minute: limit });
+    }
+    if (apiKey && apiKey.daily_quota && !consumeDailyQuota(apiKey, res)) {
+      return res.status(429).json({ error: 'Daily quota exceeded', daily_quota: apiKey.daily_quota });
+    }
+    
+    if (apiKey) touchApiKey(apiKey);
+    next();
+  }
+
+  // Who made an admin change, for audit trails
+  function describeRequestActor(req) {
+    return req.apiKey ? `${req.apiKey.name} (key ${req.apiKey.id})` : 'anonymous';
+  }
+
+  // Decimal-safe conversion: amounts and prices become scaled BigInts so rounding happens once, explicitly
+  function parseDecimal(value, scale) {
+    let text = typeof value === 'number' ? String(value) : String(value).trim();
+    if (/e/i.test(text)) {
+      text = Number(value).toFixed(PRICE_SCALE);
+    }
+    
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+    if (!match) return null;
+    
+    const fraction = (match[2] || '').slice(0, scale).padEnd(scale, '0');
+    return BigInt(match[1] + fraction);
+  }
+
+  function countDecimals(text) {
+    const fraction = String(text).split('.')[1];
+    return fraction ? fraction.length : 0;
+  }
+
+  function formatDecimal(units, scale) {
+    const digits = units.toString().padStart(scale + 1, '0');
+    if (scale === 0) return digits;
+    
+    const whole = digits.slice(0, -scale);
+    const fraction = digits.slice(-scale).replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole;
+  }
+
+  // token base units * scaled price -> fiat minor units, rounded down
+  function tokenUnitsToFiatUnits(tokenUnits, priceUnits, tokenDecimals) {
+    return (tokenUnits * priceUnits * 10n ** BigInt(FIAT_DECIMALS)) / (10n ** BigInt(tokenDecimals) * 10n ** BigInt(PRICE_SCALE));
+  }
+
+  function getTokenDecimals(tokenId) {
+    return getRegistryToken(tokenId)?.decimals ?? DEFAULT_TOKEN_DECIMALS;
+  }
+
+  // Memory first, then the database (same tiers as /api/v3/simple/price)
+  async function getCachedTokenPrices(tokenId) {
+    if (memoryCache[tokenId]) {
+      return memoryCache[tokenId];
+    }
+    
+    const dbData = await storage.loadPrices([tokenId]);
+    return dbData[tokenId] || null;
+  }
+
+  // Converts between a fiat amount and a token amount at the cached margin-adjusted price.
+  // Results are rounded down: to the token's on-chain decimals, or to FIAT_DECIMALS for fiat.
+  async function convertAmount({ tokenId, currency, amount, toToken, side }) {
+    const prices = await getCachedTokenPrices(tokenId);
+    const priceKey = side === 'default' ? currency : `${currency}_${side}`;
+    const unitPrice = prices?.[priceKey];
+    const midPrice = prices?.[`${currency}_mid`] ?? unitPrice;
+    
+    if (!unitPrice || isPriceStale(prices)) {
+      return null;
+    }
+    
+    const tokenDecimals = getTokenDecimals(tokenId);
+    const priceUnits = parseDecimal(unitPrice, PRICE_SCALE);
+    // A price below 10^-PRICE_SCALE parses to zero; treat it as unavailable rather than divide by it
+    if (priceUnits === 0n) {
+      return null;
+    }
+    const midUnits = parseDecimal(midPrice, PRICE_SCALE);
+    const marginUnits = priceUnits > midUnits ? priceUnits - midUnits : midUnits - priceUnits;
+    const priceFactor = 10n ** BigInt(PRICE_SCALE);
+    const tokenFactor = 10n ** BigInt(tokenDecimals);
+    const fiatFactor = 10n ** BigInt(FIAT_DECIMALS);
+    let tokenUnits;
+    let resultAmount;
+    
+    if (toToken) {
+      // fiat -> token: fiat / price, in token base units
+      const fiatUnits = parseDecimal(amount, FIAT_DECIMALS);
+      tokenUnits = (fiatUnits * priceFactor * tokenFactor) / (priceUnits * fiatFactor);
+      resultAmount = formatDecimal(tokenUnits, tokenDecimals);
+    } else {
+      // token -> fiat: amount * price, in fiat minor units
+      tokenUnits = parseDecimal(amount, tokenDecimals);
+      resultAmount = formatDecimal(tokenUnitsToFiatUnits(tokenUnits, priceUnits, tokenDecimals), FIAT_DECIMALS);
+    }
+    
+    return {
+      result: resultAmount,
+      rate: unitPrice,
+      mid_rate: midPrice,
+      margin_per_token: formatDecimal(marginUnits, PRICE_SCALE),
+      margin_total: formatDecimal(tokenUnitsToFiatUnits(tokenUnits, marginUnits, tokenDecimals), FIAT_DECIMALS),
+      token_decimals: tokenDecimals,
+      cache_age_seconds: getPriceAgeSeconds(prices),
+      source: prices.source || null
+    };
+  }
+
+  // Signed quotes: a price locked for QUOTE_TTL_SECONDS that checkout can redeem once
+  function signQuote(quote) {
+    const payload = [
+      quote.id,
+      quote.token_id,
+      quote.currency,
+      quote.side,
+      quote.amount,
+      quote.unit_price,
+      quote.total,
+      quote.margin,
+      quote.expires_at
+    ].join('|');
+    
+    return crypto.createHmac('sha256', QUOTE_SIGNING_SECRET).update(payload).digest('hex');
+  }
+
+  function verifyQuoteSignature(quote) {
+    const expected = Buffer.from(signQuote(quote), 'hex');
+    const actual = Buffer.from(quote.signature || '', 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  function saveQuote(quote) {
+    return new Promise((resolve, reject) => {
+      runWrite(`INSERT INTO quotes 
+        (id, token_id, currency, side, amount, unit_price, mid_price, total, margin, signature, created_at, expires_at) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+        quote.id,
+        quote.token_id,
+        quote.currency,
+        quote.side,
+        quote.amount,
+        quote.unit_price,
+        quote.mid_price,
+        quote.total,
+        quote.margin,
+        quote.signature,
+        quote.created_at,
+        quote.expires_at
+      ], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  function loadQuote(quoteId) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM quotes WHERE id = ?', [quoteId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  function getQuoteStatus(quote, now = clock.now()) {
+    if (quote.consumed_at) return 'consumed';
+    if (quote.expires_at <= now) return 'expired';
+    return 'active';
+  }
+
+  function formatQuote(quote) {
+    return {
+      quote_id: quote.id,
+      token_id: quote.token_id,
+      currency: quote.currency,
+      side: quote.side,
+      amount: quote.amount,
+      unit_price: quote.unit_price,
+      mid_price: quote.mid_price,
+      total: quote.total,
+      margin: quote.margin,
+      created_at: new Date(quote.created_at).toISOString(),
+      expires_at: new Date(quote.expires_at).toISOString(),
+      consumed_at: quote.consumed_at ? new Date(quote.consumed_at).toISOString() : null,
+      consumed_by: quote.consumed_by || null,
+      status: getQuoteStatus(quote),
+      signature: quote.signature
+    };
+  }
+
+  // Build a quote from the cached prices (the same margin-adjusted values /simple/price serves).
+  // Totals use /convert's decimal arithmetic, so a quote and a conversion of the same amount agree.
+  async function createQuote(tokenId, currency, side, amount) {
+    const prices = await getCachedTokenPrices(tokenId);
+    const unitPrice = prices?.[`${currency}_${side}`];
+    const midPrice = prices?.[`${currency}_mid`];
+    if (!unitPrice || !midPrice || isPriceStale(prices)) {
+      return null;
+    }
+    
+    const tokenDecimals = getTokenDecimals(tokenId);
+    const tokenUnits = parseDecimal(amount, tokenDecimals);
+    const priceUnits = parseDecimal(unitPrice, PRICE_SCALE);
+    const midUnits = parseDecimal(midPrice, PRICE_SCALE);
+    const marginUnits = priceUnits > midUnits ? priceUnits - midUnits : midUnits - priceUnits;
+    const now = clock.now();
+    const quote = {
+      id: `q_${crypto.randomUUID()}`,
+      token_id: tokenId,
+      currency,
+      side,
+      amount,
+      unit_price: unitPrice,
+      mid_price: midPrice,
+      total: Number(formatDecimal(tokenUnitsToFiatUnits(tokenUnits, priceUnits, tokenDecimals), FIAT_DECIMALS)),
+      margin: Number(formatDecimal(tokenUnitsToFiatUnits(tokenUnits, marginUnits, tokenDecimals), FIAT_DECIMALS)),
+      created_at: now,
+      expires_at: now + QUOTE_TTL_SECONDS * 1000
+    };
+    quote.signature = signQuote(quote);
+    
+    await saveQuote(quote);
+    return quote;
+  }
+
+  function pruneExpiredQuotes() {
+    const cutoff = clock.now() - QUOTE_RETENTION_DAYS * DAY_MS;
+    runWrite('DELETE FROM quotes WHERE expires_at < ?', [cutoff], function (err) {
+      if (err) {
+        console.error('❌ Quote prune error:', err.message);
+      } else if (this.changes > 0) {
+        console.log(`🧹 Pruned ${this.changes} expired quote(s)`);
+      }
+    });
+  }
+
+  // Tracked token helpers: default tokens plus ids fetched on demand
+
+  function loadTrackedTokens() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM tracked_tokens', (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        trackedTokens = new Map(rows.map(row => [row.token_id, {
+          added_at: row.added_at,
+          last_requested_at: row.last_requested_at,
+          persisted_at: row.last_requested_at
+        }]));
+        console.log(`🎯 Loaded ${trackedTokens.size} on-demand tracked token(s)`);
+        resolve(trackedTokens);
+      });
+    });
+  }
+
+  function isTrackedToken(tokenId) {
+    return getDefaultTokens().includes(tokenId) || trackedTokens.has(tokenId);
+  }
+
+  function getTokensToFetch() {
+    return [...new Set([...getDefaultTokens(), ...trackedTokens.keys()])];
+  }
+
+  function addTrackedTokens(tokenIds) {
+    const now = clock.now();
+    const newTokens = tokenIds.filter(tokenId => !isTrackedToken(tokenId));
+    if (newTokens.length === 0) return;
+    
+    newTokens.forEach(tokenId => {
+      trackedTokens.set(tokenId, { added_at: now, last_requested_at: now, persisted_at: now });
+      console.log(`🎯 Now tracking ${tokenId}`);
+    });
+    
+    withTransaction(async () => {
+      for (const tokenId of newTokens) {
+        await runSql(`INSERT OR REPLACE INTO tracked_tokens 
+          (token_id, added_at, last_requested_at) 
+          VALUES (?, ?, ?)`, [tokenId, now, now]);
+      }
+    }).catch(error => console.error('❌ Failed to persist tracked tokens:', error.message));
+  }
+
+  // Record demand for tracked tokens (the database write is throttled per token)
+  function touchTrackedTokens(tokenIds) {
+    const now = clock.now();
+    
+    tokenIds.forEach(tokenId => {
+      const entry = trackedTokens.get(tokenId);
+      if (!entry) return;
+      
+      entry.last_requested_at = now;
+      if (now - entry.persisted_at >= TRACKED_TOKEN_TOUCH_INTERVAL) {
+        entry.persisted_at = now;
+        runInBackground('UPDATE tracked_tokens SET last_requested_at = ? WHERE token_id = ?', [now, tokenId], `touch tracked token ${tokenId}`);
+      }
+    });
+  }
+
+  // Stop refreshing tokens nobody has asked for within the idle window
+  function evictIdleTrackedTokens() {
+    const cutoff = clock.now() - TRACKED_TOKEN_IDLE_DAYS * DAY_MS;
+    const idleTokens = [...trackedTokens.entries()]
+      .filter(([, entry]) => entry.last_requested_at < cutoff)
+      .map(([tokenId]) => tokenId);
+    
+    if (idleTokens.length === 0) return;
+    
+    const placeholders = idleTokens.map(() => '?').join(',');
+    runInBackground(`DELETE FROM tracked_tokens WHERE token_id IN (${placeholders})`, idleTokens, 'evict idle tracked tokens');
+    storage.deletePrices(idleTokens).catch(error => console.error('❌ Failed to evict cached prices:', error.message));
+    
+    idleTokens.forEach(tokenId => {
+      trackedTokens.delete(tokenId);
+      delete memoryCache[tokenId];
+    });
+    
+    console.log(`🧹 Evicted ${idleTokens.length} idle token(s): ${idleTokens.join(', ')}`);
+  }
+
+  // Validate unknown ids against the price chain (same breakers and aggregation mode as the
+  // background fetch) and fetch them in one request
+  async function fetchOnDemandBatch(tokenIds) {
+    const startTime = clock.now();
+    console.log(`🎯 On-demand fetch for: ${tokenIds.join(', ')}`);
+    
+    // Only CoinGecko can price ids missing from the registry, so it answers unless its circuit is open
+    const { data: fetchedData, source, requested } = PRICE_AGGREGATION_MODE === 'failover'
+      ? await fetchFromPriceChain(tokenIds)
+      : await fetchAggregatedPrices(tokenIds);
+    
+    const originalData = {};
+    tokenIds.forEach(tokenId => {
+      if (fetchedData[tokenId]?.usd) {
+        originalData[tokenId] = { ...fetchedData[tokenId] };
+      } else if (requested.includes(tokenId)) {
+        // Providers silently omit ids they don't know
+        rememberInvalidToken(tokenId);
+        console.log(`⚠️ ${tokenId} is not a known id at ${source}`);
+      }
+    });
+    
+    if (Object.keys(originalData).length === 0) {
+      return {};
+    }
+    
+    // New tokens have no last good price yet, so only peg bands can trip here
+    const guardedData = applyPriceGuards(originalData, source);
+    
+    await calculateNGNPrices(guardedData);
+    await calculateFiatPrices(guardedData);
+    
+    const modifiedData = {};
+    const fetchedAt = clock.now();
+    Object.entries(guardedData).forEach(([tokenId, prices]) => {
+      modifiedData[tokenId] = { ...buildQuotes(tokenId, prices), ...priceProvenance(prices), last_updated: fetchedAt, source };
+    });
+    
+    memoryCache = { ...memoryCache, ...modifiedData };
+    addTrackedTokens(Object.keys(modifiedData));
+    publishPriceUpdate(modifiedData);
+    
+    // The prices are already cached and served; a store failure only costs persistence
+    try {
+      await storage.savePrices(modifiedData, source);
+    } catch (storageError) {
+      console.error(`❌ On-demand fetch from ${source} succeeded but saving prices failed:`, storageError.message);
+      incrementCounter(storeWriteFailureMetrics, { backend: storage.backend });
+      logFetchAttempt('storage_error', Object.keys(modifiedData).length, storageError.message, clock.now() - startTime);
+      return modifiedData;
+    }
+    
+    logFetchAttempt('on_demand_success', Object.keys(modifiedData).length, `tokens: ${Object.keys(modifiedData).join(',')}`, clock.now() - startTime);
+    return modifiedData;
+  }
+
+  // Remember an id the providers don't know. Expired entries are dropped, then the oldest, so a
+  // stream of random ids can't grow the map without bound
+  function rememberInvalidToken(tokenId) {
+    const now = clock.now();
+    invalidTokensUntil.forEach((until, id) => {
+      if (until <= now) invalidTokensUntil.delete(id);
+    });
+    
+    invalidTokensUntil.delete(tokenId);
+    if (invalidTokensUntil.size >= MAX_INVALID_TOKENS) {
+      invalidTokensUntil.delete(invalidTokensUntil.keys().next().value);
+    }
+    invalidTokensUntil.set(tokenId, now + INVALID_TOKEN_CACHE_DURATION);
+  }
+
+  // Fixed one-minute windows of upstream id lookups per client (key or IP), so one client asking
+  // for random ids can't spend the provider quota the background fetch depends on
+  function consumeOnDemandLookup(bucket) {
+    const now = clock.now();
+    const windowStart = now - (now % 60000);
+    if (onDemandLookupWindow.start !== windowStart) {
+      onDemandLookupWindow = { start: windowStart, counts: new Map() };
+    }
+    
+    const count = (onDemandLookupWindow.counts.get(bucket) || 0) + 1;
+    if (count > ON_DEMAND_LOOKUPS_PER_MINUTE) return false;
+    onDemandLookupWindow.counts.set(bucket, count);
+    return true;
+  }
+
+  // Single-flight wrapper: concurrent requests for the same unknown id share one upstream call.
+  // bucket identifies the client for the on-demand lookup limit
+  async function fetchTokensOnDemand(tokenIds, bucket) {
+    const now = clock.now();
+    
+    if (getPriceChainAvailableAt() > now) {
+      console.log('⏸️ Every price provider circuit is open - skipping on-demand fetch');
+      return {};
+    }
+    
+    const candidates = tokenIds.filter(tokenId => 
+      TOKEN_ID_PATTERN.test(tokenId) && !((invalidTokensUntil.get(tokenId) || 0) > now)
+    );
+    
+    const pending = [];
+    const toFetch = [];
+    
+    candidates.forEach(tokenId => {
+      if (onDemandFetches.has(tokenId)) {
+        pending.push(onDemandFetches.get(tokenId));
+      } else if (trackedTokens.size + toFetch.length >= MAX_TRACKED_TOKENS) {
+        console.log(`⚠️ Tracked token limit (${MAX_TRACKED_TOKENS}) reached - not fetching ${tokenId}`);
+      } else if (!consumeOnDemandLookup(bucket)) {
+        console.log(`⚠️ On-demand lookup limit (${ON_DEMAND_LOOKUPS_PER_MINUTE}/min) reached for ${bucket} - not fetching ${tokenId}`);
+      } else {
+        toFetch.push(tokenId);
+      }
+    });
+    
+    if (toFetch.length > 0) {
+      const batch = fetchOnDemandBatch(toFetch);
+      toFetch.forEach(tokenId => onDemandFetches.set(tokenId, batch));
+      batch
+        .catch(error => {
+          console.error('❌ On-demand fetch failed:', error.message);
+          logFetchAttempt('on_demand_error', 0, error.message, clock.now() - now);
+        })
+        .then(() => toFetch.forEach(tokenId => onDemandFetches.delete(tokenId)));
+      pending.push(batch);
+    }
+    
+    const results = await Promise.all(pending.map(promise => promise.catch(() => ({}))));
+    return Object.assign({}, ...results);
+  }
+
+  // CoinGecko price fetching function (quotes USD and NGN directly)
+  async function fetchPricesFromCoinGecko(tokenIds, timeout = 30000) {
+    const tokenList = tokenIds.join(',');
+    const coinGeckoUrl = `https://api.coingecko.com/api/v3/simple/price?ids=${tokenList}&vs_currencies=usd,ngn`;
+    
+    const response = await upstream.get(coinGeckoUrl, {
+      timeout,
+      headers: {
+        'User-Agent': 'PayCrypt-API/1.0',
+        'Accept': 'application/json'
+      }
+    });
+    
+    if (!response.data || typeof response.data !== 'object' || Array.isArray(response.data)) {
+      throw malformedResponseError('Invalid response format from CoinGecko');
+    }
+    
+    return response.data;
+  }
+
+  // Alchemy price fetching function
+  async function fetchPricesFromAlchemy(tokenIds, timeout = 30000) {
+    if (!ALCHEMY_API_KEY) {
+      throw new Error('Alchemy API key not configured');
+    }
+
+    const symbols = tokenIds
+      .map(id => getRegistryToken(id)?.symbol)
+      .filter(symbol => symbol); // Filter out tokens missing from the registry
+
+    if (symbols.length === 0) {
+      throw new Error('No valid token symbols for Alchemy');
+    }
+
+    console.log(`🔷 Fetching prices from Alchemy for: ${symbols.join(', ')}`);
+    console.log(`🔷 API Key configured: ${ALCHEMY_API_KEY ? 'Yes' : 'No'}`);
+
+    const url = `https://api.g.alchemy.com/prices/v1/${ALCHEMY_API_KEY}/tokens/by-symbol`;
+    
+    try {
+      console.log(`🔷 POST to: ${url}`);
+      console.log(`🔷 Sending symbols: ${JSON.stringify(symbols)}`);
+      
+      // Build query parameters for symbols
+      const params = new URLSearchParams();
+      symbols.forEach(symbol => {
+        params.append('symbols', symbol);
+      });
+      
+      console.log(`🔷 Query params: ${params.toString()}`);
+      
+      const response = await upstream.post(`${url}?${params.toString()}`, {}, {
+        timeout,
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+
+      console.log(`🔷 Alchemy response status: ${response.status}`);
+      console.log(`🔷 Alchemy response type: ${typeof response.data}`);
+
+      // Transform Alchemy response to match CoinGecko format
+      const transformedData = {};
+      
+      // Alchemy returns { data: [ { symbol, prices: [{ value, currency }] } ] }
+      let tokenDataArray = [];
+      if (response.data && response.data.data && Array.isArray(response.data.data)) {
+        tokenDataArray = response.data.data;
+        console.log(`🔷 Response structure: data array with ${tokenDataArray.length} items`);
+      } else if (Array.isArray(response.data)) {
+        tokenDataArray = response.data;
+        console.log(`🔷 Response structure: direct array with ${tokenDataArray.length} items`);
+      }
+
+      console.log(`🔷 Processing ${tokenDataArray.length} tokens from Alchemy response`);
+
+      tokenDataArray.forEach((tokenData, index) => {
+        // Find the token ID from symbol
+        const tokenId = findRegistryTokenBy('symbol', tokenData.symbol)?.coingecko_id;
+        
+        if (tokenId) {
+          let usdPrice = null;
+          
+          // Alchemy format: prices array with {value, currency} objects
+          if (tokenData.prices && Array.isArray(tokenData.prices)) {
+            // Find USD price
+            const usdPriceObj = tokenData.prices.find(p => p.currency === 'USD' || p.currency === 'usd');
+            if (usdPriceObj && usdPriceObj.value) {
+              usdPrice = usdPriceObj.value;
+            } else if (tokenData.prices.length > 0 && tokenData.prices[0].value) {
+              usdPrice = tokenData.prices[0].value;
+            }
+          } else if (tokenData.price) {
+            usdPrice = tokenData.price;
+          }
+          
+          if (usdPrice) {
+            transformedData[tokenId] = {
+              usd: parseFloat(usdPrice),
+              ngn: null
+            };
+            console.log(`✅ ${tokenId} (${tokenData.symbol}): $${usdPrice}`);
+          } else {
+            console.log(`⚠️ ${tokenData.symbol}: No price found`);
+          }
+        } else {
+          console.log(`⚠️ Unknown symbol: ${tokenData.symbol}`);
+        }
+      });
+
+      console.log(`🔷 Alchemy returned ${Object.keys(transformedData).length} token prices`);
+      
+      // Tokens the symbol lookup missed (e.g. SEND) are retried by contract address, one call per chain
+      const missingByChain = {};
+      tokenIds.forEach(tokenId => {
+        const token = getRegistryToken(tokenId);
+        if (!transformedData[tokenId] && token?.contract_address && token.chain_id) {
+          (missingByChain[token.chain_id] = missingByChain[token.chain_id] || []).push(token);
+        }
+      });
+      
+      for (const [chainId, tokens] of Object.entries(missingByChain)) {
+        console.log(`🔷 ${tokens.map(t => t.symbol).join(', ')} not found by symbol, trying by contract address on chain ${chainId}...`);
+        try {
+          const addressParams = new URLSearchParams();
+          tokens.forEach(token => addressParams.append('addresses', token.contract_address));
+          
+          const contractResponse = await upstream.post(
+            `https://api.g.alchemy.com/prices/v1/${ALCHEMY_API_KEY}/tokens/by-address?chainId=${chainId}&${addressParams.toString()}`,
+            {},
+            {
+              timeout,
+              headers: { 'Accept': 'application/json' }
+            }
+          );
+          
+          (contractResponse.data?.data || []).forEach(addressData => {
+            const token = tokens.find(t => t.contract_address === String(addressData.address).toLowerCase()) ||
+              (tokens.length === 1 ? tokens[0] : null);
+            
+            if (token && addressData.prices && addressData.prices.length > 0) {
+              const usdPrice = addressData.prices[0].value;
+              transformedData[token.coingecko_id] = {
+                usd: parseFloat(usdPrice),
+                ngn: null
+              };
+              console.log(`✅ ${token.coingecko_id} (${token.symbol}): $${usdPrice} [via contract address]`);
+            }
+          });
+        } catch (contractError) {
+          console.log(`⚠️ Contract address lookup failed: ${contractError.message}`);
+        }
+      }
+      
+      return transformedData;
+    } catch (error) {
+      console.error(`🔷 Alchemy API Error: ${error.message}`);
+      if (error.response) {
+        console.error(`🔷 Status: ${error.response.status}`);
+        console.error(`🔷 Response type: ${typeof error.response.data}`);
+        if (typeof error.response.data === 'string') {
+          console.error(`🔷 Response (string): ${error.response.data.substring(0, 200)}`);
+        } else {
+          console.error(`🔷 Response (object):`, JSON.stringify(error.response.data).substring(0, 200));
+        }
+      }
+      throw error;
+    }
+  }
+
+  // Get NGN exchange rate and calculate NGN prices
+  async function calculateNGNPrices(tokenData) {
+    try {
+      // Get NGN rate from cache or fetch fresh
+      const usdToNgn = await getCachedNGNRate();
+      
+      Object.keys(tokenData).forEach(tokenId => {
+        if (tokenData[tokenId].usd && !tokenData[tokenId].ngn) {
+          tokenData[tokenId].ngn = tokenData[tokenId].usd * usdToNgn;
+          tokenData[tokenId].fx_source = ngnRateSource;
+          tokenData[tokenId].fx_rate = usdToNgn;
+          if (ngnRateDegraded) tokenData[tokenId].degraded = true;
+        }
+      });
+      
+      console.log(`✅ NGN prices calculated using rate: ₦${usdToNgn.toFixed(2)}`);
+      return tokenData;
+    } catch (error) {
+      // No rate has ever been fetched: leave NGN out rather than quote a guessed rate
+      console.error('❌ Failed to calculate NGN prices (no USD/NGN rate on record):', error.message);
+      return tokenData;
+    }
+  }
+
+  // Fetch prices from CoinMarketCap API (fallback #3)
+  async function fetchPricesFromCoinMarketCap(tokenIds, timeout = 30000) {
+    if (!COINMARKETCAP_API_KEY) {
+      throw new Error('CoinMarketCap API key not configured');
+    }
+
+    const cmcIds = tokenIds
+      .map(id => getRegistryToken(id)?.cmc_id)
+      .filter(id => id);
+
+    if (cmcIds.length === 0) {
+      throw new Error('No valid CoinMarketCap IDs for tokens');
+    }
+
+    console.log(`🔶 Fetching prices from CoinMarketCap for ${cmcIds.length} tokens...`);
+
+    const url = `https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest?id=${cmcIds.join(',')}&convert=USD`;
+    
+    try {
+      const response = await upstream.get(url, {
+        headers: {
+          'X-CMC_PRO_API_KEY': COINMARKETCAP_API_KEY,
+          'Accept': 'application/json'
+        },
+        timeout
+      });
+
+      const transformedData = {};
+      const data = response.data?.data || {};
+      
+      console.log(`🔶 CoinMarketCap returned ${Object.keys(data).length} tokens`);
+
+      // Map response back to CoinGecko IDs
+      Object.entries(data).forEach(([cmcId, tokenData]) => {
+        const tokenId = findRegistryTokenBy('cmc_id', cmcId)?.coingecko_id;
+        
+        if (tokenId && tokenData.quote?.USD?.price) {
+          transformedData[tokenId] = {
+            usd: parseFloat(tokenData.quote.USD.price),
+            ngn: null
+          };
+          console.log(`✅ ${tokenId}: $${tokenData.quote.USD.price}`);
+        }
+      });
+
+      return transformedData;
+    } catch (error) {
+      console.error(`🔶 CoinMarketCap API Error: ${error.message}`);
+      if (error.response) {
+        console.error(`🔶 Status: ${error.response.status}`);
+        console.error(`🔶 Response:`, error.response.data?.status?.error_message || error.response.data);
+      }
+      throw error;
+    }
+  }
+
+  // Get USD->fiat rate from CoinMarketCap (independent source for fiat conversion)
+  async function fetchFiatFromCoinMarketCap(currency, timeout = 10000) {
+    if (!COINMARKETCAP_API_KEY) {
+      throw new Error('CoinMarketCap API key not configured');
+    }
+    
+    console.log(`💱 Trying CoinMarketCap (${currency})...`);
+    
+    const url = 'https://pro-api.coinmarketcap.com/v1/tools/price-conversion';
+    
+    const response = await upstream.get(url, {
+      params: {
+        amount: 1,
+        symbol: 'USD',
+        convert: currency
+      },
+      headers: {
+        'X-CMC_PRO_API_KEY': COINMARKETCAP_API_KEY,
+        'Accept': 'application/json'
+      },
+      timeout
+    });
+    
+    console.log('💱 CMC Response:', JSON.stringify(response.data).substring(0, 300));
+    
+    // Try different response paths
+    const rate = response.data?.data?.quote?.[currency]?.price || 
+                 response.data?.quote?.[currency]?.price ||
+                 response.data?.data?.quote?.[currency]?.value;
+    
+    if (rate && parseFloat(rate) > 0) {
+      return parseFloat(rate);
+    }
+    
+    throw malformedResponseError('Invalid response format from CoinMarketCap');
+  }
+
+  // Get USD->fiat rate from CoinGecko (Free, no API key needed)
+  async function fetchFiatFromCoinGecko(currency, timeout = 10000) {
+    console.log(`💱 Trying CoinGecko (${currency})...`);
+    
+    const vsCurrency = currency.toLowerCase();
+    const url = 'https://api.coingecko.com/api/v3/simple/price';
+    
+    const response = await upstream.get(url, {
+      params: {
+        ids: 'tether',
+        vs_currencies: vsCurrency
+      },
+      headers: {
+        'Accept': 'application/json'
+      },
+      timeout
+    });
+    
+    if (response.data?.tether?.[vsCurrency] && parseFloat(response.data.tether[vsCurrency]) > 0) {
+      return parseFloat(response.data.tether[vsCurrency]);
+    }
+    if (response.data?.tether) {
+      throw unsupportedQuoteError(`CoinGecko does not quote ${currency}`);
+    }
+    
+    throw malformedResponseError('Invalid response format from CoinGecko');
+  }
+
+  // Get USD->fiat rate from Binance P2P (Free, real market rates)
+  async function fetchFiatFromBinance(currency, timeout = 10000) {
+    console.log(`💱 Trying Binance P2P (${currency})...`);
+    
+    const url = 'https://p2p.binance.com/bapi/c2c/v2/friendly/c2c/adv/search';
+    
+    const response = await upstream.post(url, {
+      fiat: currency,
+      page: 1,
+      rows: 10,
+      tradeType: 'BUY',
+      asset: 'USDT',
+      countries: [],
+      proMerchantAds: false,
+      shieldMerchantAds: false,
+      publisherType: null,
+      payTypes: []
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      timeout
+    });
+    
+    if (Array.isArray(response.data?.data) && response.data.data.length === 0) {
+      throw unsupportedQuoteError(`Binance P2P has no ${currency} adverts`);
+    }
+    
+    if (response.data?.data && Array.isArray(response.data.data) && response.data.data.length > 0) {
+      const rates = response.data.data
+        .slice(0, 5)
+        .map(ad => parseFloat(ad.adv.price))
+        .filter(price => price > 0);
+      
+      if (rates.length > 0) {
+        const avgRate = rates.reduce((a, b) => a + b, 0) / rates.length;
+        console.log(`💱 Binance avg rate from ${rates.length} merchants: ${avgRate} ${currency}`);
+        return avgRate;
+      }
+    }
+    
+    throw malformedResponseError('Invalid response format from Binance');
+  }
+
+  // Get USD->fiat rate from ExchangeRate-API (Free tier available)
+  async function fetchFiatFromExchangeRateAPI(currency, timeout = 10000) {
+    console.log(`💱 Trying ExchangeRate-API (${currency})...`);
+    
+    const url = 'https://api.exchangerate-api.com/v4/latest/USD';
+    
+    const response = await upstream.get(url, {
+      headers: {
+        'Accept': 'application/json'
+      },
+      timeout
+    });
+    
+    if (response.data?.rates?.[currency] && parseFloat(response.data.rates[currency]) > 0) {
+      return parseFloat(response.data.rates[currency]);
+    }
+    if (response.data?.rates) {
+      throw unsupportedQuoteError(`ExchangeRate-API does not quote ${currency}`);
+    }
+    
+    throw malformedResponseError('Invalid response format from ExchangeRate-API');
+  }
+
+  // Provider adapters. Every upstream implements the same interface so the fallback
+  // chain (and any new source such as Kraken or a DEX) is just another adapter:
+  //   name, kind ('price' | 'fx'), label, default_timeout_ms
+  //   isConfigured()                      -> false when an API key is missing
+  //   supportedTokens(tokenIds)           -> ids this adapter can price (price adapters)
+  //   fetchPrices(tokenIds, { timeout })  -> { [tokenId]: { usd, ngn? } } (price adapters)
+  //   fetchRate(currency, { timeout })    -> USD->currency rate (fx adapters)
+  //   healthCheck({ timeout })            -> resolves when the upstream answers
+  //   rateLimitState()                    -> { limited, until }
+  // Each adapter also carries its own circuit breaker (closed -> open -> half_open -> closed),
+  // so one provider backing off never stops the others from being polled.
+  function defineProvider(definition) {
+    const state = {
+      circuit: 'closed',
+      consecutive_failures: 0,
+      open_count: 0,
+      opened_until: 0,
+      last_failure_class: null,
+      trial_in_flight: false,
+      last_success_at: 0,
+      last_error: null,
+      last_error_at: 0
+    };
+    
+    const provider = {
+      isConfigured: () => true,
+      supportedTokens: tokenIds => tokenIds,
+      ...definition,
+      state,
+      rateLimitState() {
+        const limited = state.circuit === 'open' && state.last_failure_class === 'rate_limited' && clock.now() < state.opened_until;
+        return {
+          limited,
+          until: limited ? new Date(state.opened_until).toISOString() : null
+        };
+      }
+    };
+    
+    // Time every upstream call for paycrypt_upstream_request_duration_seconds
+    ['fetchPrices', 'fetchRate'].forEach(method => {
+      if (!definition[method]) return;
+      
+      provider[method] = async (...args) => {
+        const startTime = clock.now();
+        const labels = { provider: providerKey(provider) };
+        try {
+          const result = await definition[method](...args);
+          observeHistogram(upstreamLatencyMetrics, { ...labels, outcome: 'success' }, (clock.now() - startTime) / 1000);
+          return result;
+        } catch (error) {
+          observeHistogram(upstreamLatencyMetrics, { ...labels, outcome: 'failure' }, (clock.now() - startTime) / 1000);
+          throw error;
+        }
+      };
+    });
+    
+    return provider;
+  }
+
+  // Errors for upstream bodies that parse but don't have the expected shape
+  function malformedResponseError(message) {
+    const error = new Error(message);
+    error.classification = 'malformed';
+    return error;
+  }
+
+  // Errors for a healthy upstream that simply doesn't quote the requested currency
+  // (these never count against the provider's circuit)
+  function unsupportedQuoteError(message) {
+    const error = new Error(message);
+    error.classification = 'unsupported';
+    return error;
+  }
+
+  // rate_limited | timeout | server_error | client_error | network | malformed | unsupported | unknown
+  function classifyProviderError(error) {
+    if (error.classification) return error.classification;
+    if (error.response) {
+      const status = error.response.status;
+      if (status === 429) return 'rate_limited';
+      if (status >= 500) return 'server_error';
+      return 'client_error';
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) return 'timeout';
+    if (['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH'].includes(error.code)) return 'network';
+    if (error instanceof SyntaxError) return 'malformed';
+    return 'unknown';
+  }
+
+  function isRateLimitError(error) {
+    return classifyProviderError(error) === 'rate_limited';
+  }
+
+  function providerKey(provider) {
+    return `${provider.kind}:${provider.name}`;
+  }
+
+  // Closed circuits always pass; open circuits pass one half-open trial once their backoff expires
+  function canAttemptProvider(provider) {
+    const state = provider.state;
+    
+    if (state.circuit === 'closed') return true;
+    if (state.circuit === 'open') {
+      if (clock.now() < state.opened_until) return false;
+      state.circuit = 'half_open';
+      console.log(`🔌 ${provider.label} (${provider.kind}) circuit half-open - sending a trial request`);
+      persistProviderCircuit(provider);
+    }
+    if (state.trial_in_flight) return false;
+    
+    state.trial_in_flight = true;
+    return true;
+  }
+
+  function recordProviderSuccess(provider) {
+    const state = provider.state;
+    const wasOpen = state.circuit !== 'closed';
+    
+    state.circuit = 'closed';
+    state.consecutive_failures = 0;
+    state.open_count = 0;
+    state.opened_until = 0;
+    state.trial_in_flight = false;
+    state.last_success_at = clock.now();
+    state.last_error = null;
+    incrementCounter(providerFetchMetrics, { provider: providerKey(provider), outcome: 'success', classification: 'none' });
+    
+    if (wasOpen) {
+      console.log(`🔌 ${provider.label} (${provider.kind}) circuit closed`);
+      persistProviderCircuit(provider);
+    }
+  }
+
+  function recordProviderFailure(provider, error) {
+    const state = provider.state;
+    const failureClass = classifyProviderError(error);
+    incrementCounter(providerFetchMetrics, { provider: providerKey(provider), outcome: 'failure', classification: failureClass });
+    
+    if (failureClass === 'unsupported') {
+      state.trial_in_flight = false;
+      return;
+    }
+    
+    state.consecutive_failures++;
+    state.trial_in_flight = false;
+    state.last_failure_class = failureClass;
+    state.last_error = error.message;
+    state.last_error_at = clock.now();
+    
+    // Rate limits and failed half-open trials open immediately, anything else after a run of failures
+    const shouldOpen = failureClass === 'rate_limited' ||
+      state.circuit === 'half_open' ||
+      state.consecutive_failures >= CIRCUIT_FAILURE_THRESHOLD;
+    
+    if (shouldOpen) {
+      state.open_count++;
+      state.circuit = 'open';
+      
+      let backoffMs;
+      const retryAfterSeconds = parseInt(error.response?.headers?.['retry-after'], 10);
+      if (failureClass === 'rate_limited' && Number.isFinite(retryAfterSeconds)) {
+        backoffMs = retryAfterSeconds * 1000;
+      } else if (failureClass === 'rate_limited') {
+        // Exponential backoff: 5min, 10min, 20min, 40min, 60min
+        backoffMs = Math.min(5 * Math.pow(2, state.open_count - 1), 60) * 60 * 1000;
+      } else {
+        // Exponential backoff: 1min, 2min, 4min ... 30min
+        backoffMs = Math.min(Math.pow(2, state.open_count - 1), 30) * 60 * 1000;
+      }
+      
+      state.opened_until = clock.now() + backoffMs;
+      console.error(`🚫 ${provider.label} (${provider.kind}) circuit OPEN after ${failureClass} - backing off ${Math.round(backoffMs / 60000)} min`);
+    }
+    
+    persistProviderCircuit(provider);
+  }
+
+  function persistProviderCircuit(provider) {
+    const state = provider.state;
+    
+    runWrite(`INSERT OR REPLACE INTO provider_circuits 
+      (provider, circuit, consecutive_failures, open_count, opened_until, last_failure_class, last_error, updated_at) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`, [
+      providerKey(provider),
+      state.circuit,
+      state.consecutive_failures,
+      state.open_count,
+      state.opened_until,
+      state.last_failure_class,
+      state.last_error,
+      clock.now()
+    ], (err) => {
+      if (err) console.error(`❌ Failed to persist circuit for ${providerKey(provider)}:`, err.message);
+    });
+  }
+
+  // Restore breaker state so a restart doesn't hammer a provider that was backing off
+  function loadProviderCircuits() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM provider_circuits', (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        const providers = [...Object.values(PRICE_PROVIDERS), ...Object.values(FX_PROVIDERS)];
+        rows.forEach(row => {
+          const provider = providers.find(p => providerKey(p) === row.provider);
+          if (!provider) return;
+          
+          Object.assign(provider.state, {
+            // A trial that was in flight when we stopped is simply retried
+            circuit: row.circuit === 'half_open' ? 'open' : row.circuit,
+            consecutive_failures: row.consecutive_failures,
+            open_count: row.open_count,
+            opened_until: row.opened_until,
+            last_failure_class: row.last_failure_class,
+            last_error: row.last_error
+          });
+        });
+        
+        const open = providers.filter(p => p.state.circuit !== 'closed');
+        if (open.length > 0) {
+          console.log(`🔌 Restored open circuits: ${open.map(providerKey).join(', ')}`);
+        }
+        resolve();
+      });
+    });
+  }
+
+  const PRICE_PROVIDERS = {
+    coingecko: defineProvider({
+      name: 'coingecko',
+      kind: 'price',
+      label: 'CoinGecko',
+      default_timeout_ms: 30000,
+      quotesNgn: true,
+      fetchPrices: (tokenIds, options) => fetchPricesFromCoinGecko(tokenIds, options.timeout),
+      healthCheck: options => upstream.get('https://api.coingecko.com/api/v3/ping', { timeout: options.timeout })
+    }),
+    alchemy: defineProvider({
+      name: 'alchemy',
+      kind: 'price',
+      label: 'Alchemy',
+      default_timeout_ms: 30000,
+      quotesNgn: false,
+      isConfigured: () => !!ALCHEMY_API_KEY,
+      supportedTokens: tokenIds => tokenIds.filter(id => getRegistryToken(id)?.symbol),
+      fetchPrices: (tokenIds, options) => fetchPricesFromAlchemy(tokenIds, options.timeout),
+      healthCheck: options => fetchPricesFromAlchemy(['ethereum'], options.timeout)
+    }),
+    coinmarketcap: defineProvider({
+      name: 'coinmarketcap',
+      kind: 'price',
+      label: 'CoinMarketCap',
+      default_timeout_ms: 30000,
+      quotesNgn: false,
+      isConfigured: () => !!COINMARKETCAP_API_KEY,
+      supportedTokens: tokenIds => tokenIds.filter(id => getRegistryToken(id)?.cmc_id),
+      fetchPrices: (tokenIds, options) => fetchPricesFromCoinMarketCap(tokenIds, options.timeout),
+      healthCheck: options => upstream.get('https://pro-api.coinmarketcap.com/v1/key/info', {
+        headers: { 'X-CMC_PRO_API_KEY': COINMARKETCAP_API_KEY, 'Accept': 'application/json' },
+        timeout: options.timeout
+      })
+    })
+  };
+
+  const FX_PROVIDERS = {
+    coinmarketcap: defineProvider({
+      name: 'coinmarketcap',
+      kind: 'fx',
+      label: 'CoinMarketCap',
+      default_timeout_ms: 10000,
+      isConfigured: () => !!COINMARKETCAP_API_KEY,
+      fetchRate: (currency, options) => fetchFiatFromCoinMarketCap(currency, options.timeout),
+      healthCheck: options => fetchFiatFromCoinMarketCap('NGN', options.timeout)
+    }),
+    coingecko: defineProvider({
+      name: 'coingecko',
+      kind: 'fx',
+      label: 'CoinGecko',
+      default_timeout_ms: 10000,
+      fetchRate: (currency, options) => fetchFiatFromCoinGecko(currency, options.timeout),
+      healthCheck: options => fetchFiatFromCoinGecko('NGN', options.timeout)
+    }),
+    'binance-p2p': defineProvider({
+      name: 'binance-p2p',
+      kind: 'fx',
+      label: 'Binance P2P',
+      default_timeout_ms: 10000,
+      fetchRate: (currency, options) => fetchFiatFromBinance(currency, options.timeout),
+      healthCheck: options => fetchFiatFromBinance('NGN', options.timeout)
+    }),
+    'exchangerate-api': defineProvider({
+      name: 'exchangerate-api',
+      kind: 'fx',
+      label: 'ExchangeRate-API',
+      default_timeout_ms: 10000,
+      fetchRate: (currency, options) => fetchFiatFromExchangeRateAPI(currency, options.timeout),
+      healthCheck: options => fetchFiatFromExchangeRateAPI('NGN', options.timeout)
+    })
+  };
+
+  // Chain configuration: PROVIDER_CONFIG (inline JSON) or PROVIDER_CONFIG_FILE (path to JSON), e.g.
+  //   { "price": [{ "name": "coingecko", "timeout_ms": 20000 }, { "name": "alchemy", "enabled": false }],
+  //     "fx": [{ "name": "exchangerate-api" }, { "name": "binance-p2p" }] }
+  // PRICE_PROVIDER_ORDER / FX_PROVIDER_ORDER (comma lists) override order and enablement per kind.
+  const DEFAULT_PROVIDER_CHAINS = {
+    price: ['coingecko', 'alchemy', 'coinmarketcap'],
+    fx: ['coinmarketcap', 'coingecko', 'binance-p2p', 'exchangerate-api']
+  };
+
+  function buildProviderChain(kind, registry, configured, orderOverride) {
+    let entries = Array.isArray(configured)
+      ? configured
+      : DEFAULT_PROVIDER_CHAINS[kind].map(name => ({ name }));
+    
+    if (orderOverride) {
+      entries = orderOverride.split(',').map(name => name.trim()).filter(name => name).map(name => ({
+        ...(entries.find(entry => entry.name === name) || {}),
+        name,
+        enabled: true
+      }));
+    }
+    
+    return entries
+      .filter(entry => {
+        if (!registry[entry.name]) {
+          console.warn(`⚠️ Unknown ${kind} provider "${entry.name}" in provider config - ignoring`);
+          return false;
+        }
+        return true;
+      })
+      .map(entry => ({
+        name: entry.name,
+        enabled: entry.enabled !== false,
+        timeout_ms: Number(entry.timeout_ms) > 0 ? Number(entry.timeout_ms) : registry[entry.name].default_timeout_ms
+      }));
+  }
+
+  function loadProviderConfig() {
+    let config = {};
+    
+    try {
+      if (process.env.PROVIDER_CONFIG) {
+        config = JSON.parse(process.env.PROVIDER_CONFIG);
+      } else if (process.env.PROVIDER_CONFIG_FILE) {
+        config = JSON.parse(fs.readFileSync(process.env.PROVIDER_CONFIG_FILE, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`❌ Invalid provider config, using defaults: ${error.message}`);
+      config = {};
+    }
+    
+    return {
+      price: buildProviderChain('price', PRICE_PROVIDERS, config.price, process.env.PRICE_PROVIDER_ORDER),
+      fx: buildProviderChain('fx', FX_PROVIDERS, config.fx, process.env.FX_PROVIDER_ORDER)
+    };
+  }
+
+  const providerChains = loadProviderConfig();
+
+  // Provider status for /health and /providers (no upstream calls)
+  function describeProviders() {
+    const describe = (chain, registry) => chain.map((entry, index) => {
+      const provider = registry[entry.name];
+      return {
+        name: provider.name,
+        label: provider.label,
+        order: index + 1,
+        enabled: entry.enabled,
+        configured: provider.isConfigured(),
+        timeout_ms: entry.timeout_ms,
+        circuit: provider.state.circuit,
+        consecutive_failures: provider.state.consecutive_failures,
+        backoff_until: provider.state.circuit !== 'closed' && provider.state.opened_until
+          ? new Date(provider.state.opened_until).toISOString()
+          : null,
+        last_failure_class: provider.state.last_failure_class,
+        rate_limit: provider.rateLimitState(),
+        last_success_at: provider.state.last_success_at ? new Date(provider.state.last_success_at).toISOString() : null,
+        last_error: provider.state.last_error
+      };
+    });
+    
+    return {
+      price: describe(providerChains.price, PRICE_PROVIDERS),
+      fx: describe(providerChains.fx, FX_PROVIDERS),
+      aggregation: {
+        price: { mode: PRICE_AGGREGATION_MODE, outlier_threshold_percent: PRICE_OUTLIER_THRESHOLD_PERCENT },
+        fx: { mode: FX_AGGREGATION_MODE, outlier_threshold_percent: FX_OUTLIER_THRESHOLD_PERCENT }
+      }
+    };
+  }
+
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  function trimmedMean(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const trim = Math.floor(sorted.length * TRIMMED_MEAN_FRACTION);
+    const kept = sorted.slice(trim, sorted.length - trim);
+    return kept.reduce((sum, value) => sum + value, 0) / kept.length;
+  }
+
+  // Combine one value per source: quotes more than thresholdPercent away from the median are
+  // rejected, the rest are combined with the median or trimmed mean. value is null without consensus.
+  function aggregateQuotes(quotes, mode, thresholdPercent) {
+    const consensus = median(quotes.map(quote => quote.value));
+    const accepted = [];
+    const rejected = [];
+    
+    quotes.forEach(quote => {
+      const deviationPercent = Math.abs(quote.value - consensus) / consensus * 100;
+      if (deviationPercent > thresholdPercent) {
+        rejected.push({ ...quote, deviation_percent: Number(deviationPercent.toFixed(2)) });
+      } else {
+        accepted.push(quote);
+      }
+    });
+    
+    const acceptedValues = accepted.map(quote => quote.value);
+    let value = null;
+    if (acceptedValues.length > 0) {
+      value = mode === 'trimmed_mean' ? trimmedMean(acceptedValues) : median(acceptedValues);
+    }
+    
+    return { value, consensus, accepted, rejected };
+  }
+
+  // One fetch_logs row per token with rejected quotes, listing every source's value
+  function logOutlierRejection(subject, result) {
+    const values = [...result.accepted, ...result.rejected]
+      .map(quote => `${quote.source}=${quote.value}`)
+      .join(', ');
+    const rejected = result.rejected
+      .map(quote => `${quote.source} (${quote.deviation_percent}% off)`)
+      .join(', ');
+    const status = result.value === null ? 'outlier_no_consensus' : 'outlier_rejected';
+    
+    console.log(`🧮 ${subject}: rejected ${rejected} | consensus ${result.consensus} | values ${values}`);
+    logFetchAttempt(status, 1, `${subject}: rejected ${rejected}; values ${values}`, 0);
+  }
+
+  // Walk the price chain, failing over to the next provider on any classified failure
+  async function fetchFromPriceChain(tokenIds) {
+    const failures = [];
+    
+    for (const entry of providerChains.price) {
+      const provider = PRICE_PROVIDERS[entry.name];
+      
+      if (!entry.enabled || !provider.isConfigured()) {
+        continue;
+      }
+      
+      const supported = provider.supportedTokens(tokenIds);
+      if (supported.length === 0) {
+        continue;
+      }
+      
+      if (!canAttemptProvider(provider)) {
+        console.log(`⏸️ ${provider.label} circuit ${provider.state.circuit} until ${new Date(provider.state.opened_until).toISOString()}, skipping`);
+        failures.push({ provider: provider.name, classification: 'circuit_open' });
+        continue;
+      }
+      
+      if (failures.length > 0) {
+        console.log(`⚠️ Trying ${provider.label}...`);
+      }
+      
+      try {
+        let data = await provider.fetchPrices(supported, { timeout: entry.timeout_ms });
+        
+        if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
+          throw malformedResponseError(`Empty response from ${provider.label}`);
+        }
+        recordRawValues(data, provider.name);
+        
+        // USD-only providers get NGN from the FX chain
+        if (!provider.quotesNgn) {
+          data = await calculateNGNPrices(data);
+        }
+        
+        recordProviderSuccess(provider);
+        console.log(`✅ Fetched from ${provider.label}`);
+        return { data, source: provider.name, requested: supported };
+      } catch (error) {
+        recordProviderFailure(provider, error);
+        const classification = classifyProviderError(error);
+        console.error(`❌ ${provider.label} fetch failed (${classification}):`, error.message);
+        failures.push({ provider: provider.name, classification, message: error.message });
+      }
+    }
+    
+    throw allProvidersFailedError(failures);
+  }
+
+  // Summarise every provider's outcome; "rate_limited" only when nothing else went wrong
+  function allProvidersFailedError(failures) {
+    const attempted = failures.filter(f => f.classification !== 'circuit_open');
+    const error = new Error(failures.length > 0
+      ? `All price providers failed: ${failures.map(f => `${f.provider} (${f.classification})`).join(', ')}`
+      : 'No price provider available');
+    error.failures = failures;
+    error.classification = attempted.length === 0
+      ? 'circuit_open'
+      : attempted.every(f => f.classification === 'rate_limited') ? 'rate_limited' : 'all_failed';
+    return error;
+  }
+
+  // Query every available price provider in parallel and aggregate USD prices per token
+  async function fetchAggregatedPrices(tokenIds) {
+    const failures = [];
+    const attempts = [];
+    
+    providerChains.price.forEach(entry => {
+      const provider = PRICE_PROVIDERS[entry.name];
+      
+      if (!entry.enabled || !provider.isConfigured()) return;
+      
+      const supported = provider.supportedTokens(tokenIds);
+      if (supported.length === 0) return;
+      
+      if (!canAttemptProvider(provider)) {
+        failures.push({ provider: provider.name, classification: 'circuit_open' });
+        return;
+      }
+      
+      attempts.push(provider.fetchPrices(supported, { timeout: entry.timeout_ms })
+        .then(data => {
+          if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
+            throw malformedResponseError(`Empty response from ${provider.label}`);
+          }
+          recordProviderSuccess(provider);
+          return { provider, data, supported };
+        })
+        .catch(error => {
+          recordProviderFailure(provider, error);
+          const classification = classifyProviderError(error);
+          console.error(`❌ ${provider.label} fetch failed (${classification}):`, error.message);
+          failures.push({ provider: provider.name, classification, message: error.message });
+          return null;
+        }));
+    });
+    
+    const responses = (await Promise.all(attempts)).filter(response => response);
+    if (responses.length === 0) {
+      throw allProvidersFailedError(failures);
+    }
+    
+    // NGN is derived from the aggregated USD price and FX rate, never taken from one source
+    const aggregatedData = {};
+    tokenIds.forEach(tokenId => {
+      const quotes = responses
+        .filter(response => response.data[tokenId]?.usd > 0)
+        .map(response => ({ source: response.provider.name, value: parseFloat(response.data[tokenId].usd) }));
+      
+      if (quotes.length === 0) return;
+      
+      const result = aggregateQuotes(quotes, PRICE_AGGREGATION_MODE, PRICE_OUTLIER_THRESHOLD_PERCENT);
+      if (result.rejected.length > 0) {
+        logOutlierRejection(tokenId, result);
+      }
+      
+      // Every provider's own quote, outliers included, so audits can see what was combined
+      const raw = {};
+      responses
+        .filter(response => response.data[tokenId])
+        .forEach(response => {
+          raw[response.provider.name] = upstreamValues(response.data[tokenId]);
+        });
+      
+      if (result.value !== null) {
+        aggregatedData[tokenId] = { usd: result.value, ngn: null, raw };
+      } else {
+        // No consensus (two providers too far apart can't outvote each other): quote the
+        // highest-priority provider in chain order, flagged degraded, rather than drop the token
+        const fallback = quotes[0];
+        console.warn(`⚠️ ${tokenId}: no consensus, using ${fallback.source} (${fallback.value}) flagged degraded`);
+        aggregatedData[tokenId] = { usd: fallback.value, ngn: null, raw, degraded: true };
+      }
+    });
+    
+    const sources = responses.map(response => response.provider.name);
+    console.log(`🧮 Aggregated ${Object.keys(aggregatedData).length} token prices (${PRICE_AGGREGATION_MODE}) from ${sources.join(', ')}`);
+    
+    return {
+      data: await calculateNGNPrices(aggregatedData),
+      source: `${PRICE_AGGREGATION_MODE}:${sources.join('+')}`,
+      requested: [...new Set(responses.flatMap(response => response.supported))]
+    };
+  }
+
+  // Earliest time an enabled price provider becomes available again (0 when one is available now)
+  function getPriceChainAvailableAt() {
+    const candidates = providerChains.price
+      .filter(entry => entry.enabled && PRICE_PROVIDERS[entry.name].isConfigured())
+      .map(entry => PRICE_PROVIDERS[entry.name].state);
+    
+    if (candidates.length === 0 || candidates.some(state => state.circuit !== 'open' || state.opened_until <= clock.now())) {
+      return 0;
+    }
+    return Math.min(...candidates.map(state => state.opened_until));
+  }
+
+  // Query every available FX provider in parallel and aggregate the rate with outlier rejection
+  async function fetchAggregatedRate(code) {
+    const attempts = providerChains.fx
+      .map(entry => ({ entry, provider: FX_PROVIDERS[entry.name] }))
+      .filter(({ entry, provider }) => entry.enabled && provider.isConfigured() && canAttemptProvider(provider))
+      .map(({ entry, provider }) => provider.fetchRate(code, { timeout: entry.timeout_ms })
+        .then(rate => {
+          if (!(rate > 0)) {
+            throw malformedResponseError(`${provider.label} returned no ${code} rate`);
+          }
+          recordProviderSuccess(provider);
+          return { source: provider.name, value: rate };
+        })
+        .catch(error => {
+          recordProviderFailure(provider, error);
+          console.log(`⚠️ ${provider.label} failed for ${code}: ${error.message}`);
+          return null;
+        }));
+    
+    const quotes = (await Promise.all(attempts)).filter(quote => quote);
+    if (quotes.length === 0) {
+      throw new Error(`All sources failed for ${code} rate`);
+    }
+    
+    const result = aggregateQuotes(quotes, FX_AGGREGATION_MODE, FX_OUTLIER_THRESHOLD_PERCENT);
+    if (result.rejected.length > 0) {
+      logOutlierRejection(`USD/${code}`, result);
+    }
+    if (result.value === null) {
+      // Same fallback as prices: the highest-priority provider in chain order, flagged degraded
+      const fallback = quotes[0];
+      console.warn(`⚠️ USD/${code}: no consensus, using ${fallback.source} (${fallback.value}) flagged degraded`);
+      return { rate: fallback.value, source: fallback.source, degraded: true };
+    }
+    
+    return {
+      rate: result.value,
+      source: `${FX_AGGREGATION_MODE}:${result.accepted.map(quote => quote.source).join('+')}`
+    };
+  }
+
+  // Walk the FX chain for one currency, returning the first usable rate
+  async function fetchFromFxChain(code) {
+    if (FX_AGGREGATION_MODE !== 'failover') {
+      return fetchAggregatedRate(code);
+    }
+    
+    for (const entry of providerChains.fx) {
+      const provider = FX_PROVIDERS[entry.name];
+      
+      if (!entry.enabled || !provider.isConfigured() || !canAttemptProvider(provider)) {
+        continue;
+      }
+      
+      try {
+        const rate = await provider.fetchRate(code, { timeout: entry.timeout_ms });
+        if (!(rate > 0)) {
+          throw malformedResponseError(`${provider.label} returned no ${code} rate`);
+        }
+        
+        recordProviderSuccess(provider);
+        return { rate, source: provider.name };
+      } catch (error) {
+        recordProviderFailure(provider, error);
+        console.log(`⚠️ ${provider.label} failed for ${code}: ${error.message}`);
+      }
+    }
+    
+    throw new Error(`All sources failed for ${code} rate`);
+  }
+
+  // Master function to fetch NGN rate with multiple fallbacks
+  async function fetchNGNRate() {
+    console.log('💱 Fetching USD to NGN exchange rate...');
+    
+    const { rate, source, degraded } = await fetchFromFxChain('NGN');
+    console.log(`✅ Got NGN rate: ₦${rate.toFixed(2)} from ${source}`);
+    saveFxRate('ngn', rate, source);
+    return { rate, source, degraded: !!degraded };
+  }
+
+  // Master function to fetch any other USD->fiat rate (no hardcoded fallback)
+  async function fetchFiatRate(currency) {
+    const code = currency.toUpperCase();
+    console.log(`💱 Fetching USD to ${code} exchange rate...`);
+    
+    const { rate, source, degraded } = await fetchFromFxChain(code);
+    console.log(`✅ Got ${code} rate: ${rate.toFixed(4)} from ${source}`);
+    saveFxRate(currency.toLowerCase(), rate, source);
+    return { rate, source, degraded: !!degraded };
+  }
+
+  // Get cached NGN rate with memory + database persistence (fx_rates is reloaded in initializeCache)
+  async function getCachedNGNRate() {
+    const now = clock.now();
+    
+    // Check memory cache first
+    if (cachedNGNRate && (now - ngnRateCacheTime) < runtimeConfig.ngn_rate_cache_duration_ms) {
+      const ageMinutes = Math.floor((now - ngnRateCacheTime) / 60000);
+      console.log(`💱 Using cached NGN rate: ₦${cachedNGNRate.toFixed(2)} (${ageMinutes}m old)`);
+      return cachedNGNRate;
+    }
+    
+    // Fetch fresh rate
+    try {
+      const { rate, source, degraded } = await fetchNGNRate();
+      emitNGNRateWebhooks(cachedNGNRate, rate, source);
+      cachedNGNRate = rate;
+      ngnRateCacheTime = now;
+      ngnRateSource = source;
+      ngnRateDegraded = degraded;
+      return rate;
+    } catch (error) {
+      // If fetch fails but we have old cache (possibly restored from the database), use it
+      if (cachedNGNRate) {
+        console.log(`⚠️ All sources failed, using stale cached rate: ₦${cachedNGNRate.toFixed(2)}`);
+        return cachedNGNRate;
+      }
+      throw error;
+    }
+  }
+
+  // Get cached USD->fiat rate for the extra currencies (falls back to a stale rate, never a guess)
+  async function getCachedFiatRate(currency) {
+    const now = clock.now();
+    const cached = fiatRateCache[currency];
+    
+    if (cached && (now - cached.time) < runtimeConfig.fiat_rate_cache_duration_ms) {
+      return cached.rate;
+    }
+    
+    try {
+      const { rate, source, degraded } = await fetchFiatRate(currency);
+      fiatRateCache[currency] = { rate, time: now, source, degraded };
+      return rate;
+    } catch (error) {
+      if (cached) {
+        console.log(`⚠️ Using stale cached ${currency.toUpperCase()} rate: ${cached.rate.toFixed(4)}`);
+        return cached.rate;
+      }
+      throw error;
+    }
+  }
+
+  // Convert USD prices into the extra fiat currencies; a currency without any rate is left out
+  async function calculateFiatPrices(tokenData) {
+    for (const currency of EXTRA_FIAT_CURRENCIES) {
+      let rate;
+      try {
+        rate = await getCachedFiatRate(currency);
+      } catch (error) {
+        console.error(`❌ No ${currency.toUpperCase()} rate available: ${error.message}`);
+        continue;
+      }
+      
+      const degraded = !!fiatRateCache[currency]?.degraded;
+      Object.keys(tokenData).forEach(tokenId => {
+        if (tokenData[tokenId].usd && !tokenData[tokenId][currency]) {
+          tokenData[tokenId][currency] = tokenData[tokenId].usd * rate;
+          if (degraded) tokenData[tokenId].degraded = true;
+        }
+      });
+    }
+    
+    return tokenData;
+  }
+
+  // Background fetch function with rate limiting and exponential backoff
+  async function backgroundFetchPrices(retryCount = 0) {
+    if (isFetching) {
+      console.log('⏳ Background fetch already in progress, skipping...');
+      return;
+    }
+    if (stopped) {
+      return;
+    }
+
+    // Rate limits are handled per provider by the circuit breakers in fetchFromPriceChain
+    const now = clock.now();
+
+    // Enforce minimum time between requests
+    const timeSinceLastRequest = now - lastRequestTime;
+    if (timeSinceLastRequest < runtimeConfig.min_request_interval_ms) {
+      const waitSeconds = Math.ceil((runtimeConfig.min_request_interval_ms - timeSinceLastRequest) / 1000);
+      console.log(`⏸️ Throttling: waiting ${waitSeconds}s before next request...`);
+      return;
+    }
+
+    isFetching = true;
+    fetchAttempts++;
+    let finishFetch;
+    currentFetch = new Promise(resolve => {
+      finishFetch = resolve;
+    });
+    const startTime = clock.now();
+    
+    try {
+      console.log(`🔄 Background fetch #${fetchAttempts} starting...`);
+      
+      evictIdleTrackedTokens();
+      const tokensToFetch = getTokensToFetch();
+      
+      lastRequestTime = clock.now();
+      // Walk the configured provider chain (failing over on any error), or aggregate across providers
+      let { data: originalData, source } = PRICE_AGGREGATION_MODE === 'failover'
+        ? await fetchFromPriceChain(tokensToFetch)
+        : await fetchAggregatedPrices(tokensToFetch);
+      
+      if (originalData && Object.keys(originalData).length > 0) {
+        // Hold back anomalous moves and peg breaks (those tokens keep their last good value)
+        originalData = applyPriceGuards(originalData, source);
+        
+        // Keep the USD/NGN rate (and its fx_rates history) current even when the provider quotes NGN directly
+        await getCachedNGNRate().catch(error => console.error('❌ USD/NGN rate refresh failed:', error.message));
+        
+        // Convert USD prices into the extra fiat currencies (GHS, KES, ZAR, EUR)
+        originalData = await calculateFiatPrices(originalData);
+        
+        // Apply the configured margin rules to every quote currency (keeping mid, buy and sell)
+        const modifiedData = {};
+        const fetchedAt = clock.now();
+        
+        Object.entries(originalData).forEach(([tokenId, prices]) => {
+          modifiedData[tokenId] = { ...buildQuotes(tokenId, prices), ...priceProvenance(prices), last_updated: fetchedAt, source };
+        });
+        
+        // Update both memory cache and database
+        emitPriceMoveWebhooks(memoryCache, modifiedData, source);
+        memoryCache = { ...memoryCache, ...modifiedData };
+        lastSuccessfulFetch = clock.now();
+        publishPriceUpdate(modifiedData);
+        emitProviderStateWebhook(null, { source });
+        consecutiveFailures = 0; // Reset failure counter on success
+        
+        // Save to database and append to price history in one transaction. A failed write is a storage
+        // problem, not a provider outage: the fresh prices are already served from memory, so no
+        // outage webhook, failure count or retry
+        try {
+          await storage.savePrices(modifiedData, source);
+        } catch (storageError) {
+          const responseTime = clock.now() - startTime;
+          console.error(`❌ Background fetch from ${source} succeeded but saving prices failed:`, storageError.message);
+          incrementCounter(storeWriteFailureMetrics, { backend: storage.backend });
+          logFetchAttempt('storage_error', Object.keys(modifiedData).length, storageError.message, responseTime);
+          return;
+        }
+        
+        const responseTime = clock.now() - startTime;
+        console.log(`✅ Background fetch SUCCESS! Updated ${Object.keys(modifiedData).length} tokens from ${source} (${responseTime}ms)`);
+        
+        logFetchAttempt('success', Object.keys(modifiedData).length, `source: ${source}`, responseTime);
+        
+      } else {
+        throw new Error(`Empty response from ${source}`);
+      }
+      
+    } catch (error) {
+      const responseTime = clock.now() - startTime;
+      const classification = error.classification;
+      consecutiveFailures++;
+      
+      if (classification === 'rate_limited' || classification === 'circuit_open') {
+        // Every provider is backing off; each circuit decides when it is polled again
+        const nextAttemptAt = getPriceChainAvailableAt();
+        
+        console.error(`🚫 ${classification === 'rate_limited' ? 'RATE LIMITED (429)' : 'ALL CIRCUITS OPEN'} - ${error.message}`);
+        if (nextAttemptAt) {
+          console.log(`⏰ Next provider available after: ${new Date(nextAttemptAt).toISOString()}`);
+        }
+        
+        logFetchAttempt(classification, 0, error.message, responseTime);
+        emitProviderStateWebhook('rate_limited', {
+          classification,
+          error: error.message,
+          next_attempt_at: nextAttemptAt ? new Date(nextAttemptAt).toISOString() : null
+        });
+      } else {
+        console.error(`❌ Background fetch FAILED (attempt #${fetchAttempts}):`, error.message);
+        logFetchAttempt('error', 0, error.message, responseTime);
+        emitProviderStateWebhook('all_failed', { error: error.message, consecutive_failures: consecutiveFailures });
+        
+        // Retry for non-rate-limit errors (providers with open circuits are skipped)
+        if (backgroundFetchEnabled && retryCount < runtimeConfig.max_retries) {
+          const retryDelay = runtimeConfig.initial_retry_delay_ms * Math.pow(2, retryCount);
+          console.log(`🔄 Retrying in ${retryDelay/1000}s... (attempt ${retryCount + 1}/${runtimeConfig.max_retries})`);
+          scheduleTimeout(() => backgroundFetchPrices(retryCount + 1), retryDelay);
+        }
+      }
+      
+      // Don't reset lastSuccessfulFetch - keep serving cached data
+    } finally {
+      isFetching = false;
+      currentFetch = null;
+      finishFetch();
+    }
+  }
+
+  // Load cache from database on startup
+  async function initializeCache() {
+    console.log('🚀 SERVER STARTING (Cold Start Detection)');
+    console.log(`📅 Server start time: ${new Date(clock.now()).toISOString()}`);
+    
+    try {
+      await loadTokenRegistry(true);
+      await loadMarginRules();
+      await loadTrackedTokens();
+      await loadProviderCircuits();
+      await loadPriceGuards(true);
+      await loadFrozenTokens();
+      await loadConfigOverrides();
+      await loadLatestFxRates();
+      await loadWebhookSubscriptions();
+      await loadApiKeys();
+      
+      if (!process.env.QUOTE_SIGNING_SECRET) {
+        console.warn('⚠️ QUOTE_SIGNING_SECRET not set - quotes issued now will not verify after a restart');
+      }
+      
+      console.log('📚 Loading cache from database...');
+      const dbData = await storage.loadPrices();
+      
+      if (Object.keys(dbData).length > 0) {
+        memoryCache = dbData;
+        
+        // Find the most recent update time
+        const result = await storage.priceSummary();
+        
+        if (result && result.latest) {
+          lastSuccessfulFetch = result.latest;
+          const ageMinutes = Math.floor((clock.now() - result.latest) / 60000);
+          console.log(`✅ Loaded ${Object.keys(dbData).length} tokens from database (${ageMinutes} min old)`);
+        }
+      } else {
+        console.log('📭 Database is empty - will fetch fresh data');
+      }
+      
+      // Immediate background fetch if data is stale or missing
+      prunePriceHistory();
+      pruneFxRates();
+      pruneExpiredQuotes();
+      
+      if (backgroundFetchEnabled && (Object.keys(memoryCache).length === 0 || (clock.now() - lastSuccessfulFetch) > runtimeConfig.cache_fresh_duration_ms)) {
+        console.log('🔄 Triggering immediate background fetch...');
+        scheduleTimeout(() => backgroundFetchPrices(), 1000); // Small delay to let server start
+      }
+      
+    } catch (error) {
+      console.error('❌ Error loading from database:', error.message);
+      // Trigger immediate fetch on error
+      if (backgroundFetchEnabled) {
+        scheduleTimeout(() => backgroundFetchPrices(), 2000);
+      }
+    }
+  }
+
+  // Set up background fetch interval (rebuilt when background_fetch_interval_ms changes)
+  function scheduleBackgroundFetch() {
+    clearInterval(backgroundFetchTimer);
+    backgroundFetchTimer = setInterval(() => {
+      backgroundFetchPrices();
+    }, runtimeConfig.background_fetch_interval_ms);
+  }
+
+  // setTimeout that stop() cancels (nothing new is scheduled once stopped)
+  function scheduleTimeout(callback, delay) {
+    if (stopped) return null;
+    
+    const timer = setTimeout(() => {
+      pendingTimeouts.delete(timer);
+      callback();
+    }, delay);
+    pendingTimeouts.add(timer);
+    return timer;
+  }
+
+  function startSchedulers() {
+    if (backgroundFetchEnabled) {
+      scheduleBackgroundFetch();
+    }
+    
+    schedulerIntervals = [
+      // Deliver due webhook retries
+      setInterval(() => {
+        retryDueWebhooks();
+      }, WEBHOOK_RETRY_INTERVAL),
+      
+      // Keep price streams alive
+      setInterval(() => {
+        sendStreamHeartbeats();
+      }, STREAM_HEARTBEAT_INTERVAL),
+      
+      // Set up price history and quote retention
+      setInterval(() => {
+        prunePriceHistory();
+        pruneFxRates();
+        pruneExpiredQuotes();
+      }, PRICE_HISTORY_PRUNE_INTERVAL)
+    ];
+  }
+
+  // Prometheus scrape endpoint (ops scope: configure the scraper with an API key as a bearer token)
+  app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderPrometheusMetrics());
+  });
+
+  // Liveness: the process and its event loop are up (no dependencies checked, so never restart-loops)
+  app.get('/health/live', (req, res) => {
+    res.json({ status: 'alive', uptime_seconds: Math.floor((clock.now() - serverStartTime) / 1000) });
+  });
+
+  // Readiness: safe to route traffic here - started, not shutting down, SQLite and the price store answering.
+  // Missing prices don't fail it: another instance wouldn't have them either, and degraded
+  // serving covers that case
+  app.get('/health/ready', async (req, res) => {
+    const checks = {
+      started: ready,
+      shutting_down: stopped,
+      database: await new Promise(resolve => db.get('SELECT 1', err => resolve(!err))),
+      storage: await storage.ping()
+    };
+    const isReady = checks.started && !checks.shutting_down && checks.database && checks.storage;
+    
+    res.status(isReady ? 200 : 503).json({
+      status: isReady ? 'ready' : 'not_ready',
+      checks,
+      cached_tokens: Object.keys(memoryCache).length
+    });
+  });
+
+  // Health endpoint (for uptime monitoring)
+  app.get('/health', (req, res) => {
+    const now = clock.now();
+    const cacheAge = Math.floor((now - lastSuccessfulFetch) / 1000);
+    const uptimeSeconds = Math.floor((now - serverStartTime) / 1000);
+    const priceChainAvailableAt = getPriceChainAvailableAt();
+    const isRateLimited = priceChainAvailableAt > now;
+    
+    storage.priceSummary().catch(() => null).then(summary => {
+      res.json({ 
+        success: true, 
+        server_uptime_seconds: uptimeSeconds,
+        server_uptime_minutes: Math.floor(uptimeSeconds / 60),
+        message: 'PayCrypt Price API - Background Fetch Strategy!',
+        margin_rules: describeMarginRules(),
+        cache_age_seconds: cacheAge,
+        cache_age_minutes: Math.floor(cacheAge / 60),
+        last_successful_fetch: new Date(lastSuccessfulFetch).toISOString(),
+        memory_cached_tokens: Object.keys(memoryCache).length,
+        tracked_on_demand_tokens: trackedTokens.size,
+        frozen_tokens: [...frozenTokens.keys()],
+        stream_subscribers: streamSubscribers.size,
+        max_tracked_tokens: MAX_TRACKED_TOKENS,
+        tracked_token_idle_days: TRACKED_TOKEN_IDLE_DAYS,
+        database_token_count: summary ? summary.count : 0,
+        cache_status: Object.keys(memoryCache).length > 0 ? 'has_data' : 'empty',
+        is_fetching: isFetching,
+        is_rate_limited: isRateLimited,
+        rate_limit_expires: isRateLimited ? new Date(priceChainAvailableAt).toISOString() : null,
+        consecutive_failures: consecutiveFailures,
+        total_fetch_attempts: fetchAttempts,
+        providers: describeProviders(),
+        background_fetch_interval_minutes: runtimeConfig.background_fetch_interval_ms / 60000,
+        min_request_interval_seconds: runtimeConfig.min_request_interval_ms / 1000,
+        cache_fresh_threshold_minutes: runtimeConfig.cache_fresh_duration_ms / 60000,
+        database_enabled: true
+      });
+    });
+  });
+
+  // Main price endpoint - ALWAYS serve from cache/database (no waiting)
+  app.get('/api/v3/simple/price', async (req, res) => {
+    const startTime = clock.now();
+    
+    try {
+      const { ids, vs_currencies, include_buy_sell, include_mid, include_last_updated_at, include_provenance } = req.query;
+      
+      const requestedTokens = parseListParam(ids);
+      if (requestedTokens.length === 0) {
+        return res.status(400).json({ error: 'Missing ids parameter' });
+      }
+      console.log(`📊 Request for: ${requestedTokens.join(', ')}`);
+      
+      // Clients that omit vs_currencies keep getting the original {usd, ngn} shape
+      const requestedCurrencies = vs_currencies ? parseListParam(vs_currencies) : DEFAULT_VS_CURRENCIES;
+      
+      const unsupportedCurrencies = requestedCurrencies.filter(c => !SUPPORTED_VS_CURRENCIES.includes(c));
+      if (requestedCurrencies.length === 0 || unsupportedCurrencies.length > 0) {
+        logRequestMetric(req, '/api/v3/simple/price', 'invalid_vs_currency', clock.now() - startTime, requestedTokens.join(','));
+        return res.status(400).json({
+          error: 'invalid vs_currency',
+          unsupported: unsupportedCurrencies,
+          supported_vs_currencies: SUPPORTED_VS_CURRENCIES
+        });
+      }
+      
+      // Opt-in extra fields, so existing clients keep the plain {currency: price} shape
+      const quoteOptions = {
+        buySell: include_buy_sell === 'true',
+        mid: include_mid === 'true',
+        lastUpdatedAt: include_last_updated_at === 'true',
+        provenance: include_provenance === 'true'
+      };
+      
+      // Unknown ids are validated and fetched once, then refreshed by the background loop
+      touchTrackedTokens(requestedTokens);
+      const untrackedTokens = requestedTokens.filter(tokenId => !isTrackedToken(tokenId) && !memoryCache[tokenId]);
+      if (untrackedTokens.length > 0) {
+        const onDemandData = await fetchTokensOnDemand(untrackedTokens, rateLimitBucket(req));
+        if (Object.keys(onDemandData).length > 0) {
+          console.log(`🎯 Fetched ${Object.keys(onDemandData).length} token(s) on demand`);
+        }
+      }
+      
+      // PRIORITY 1: Serve from memory cache (fastest)
+      if (memoryCache && Object.keys(memoryCache).length > 0) {
+        const filteredResult = {};
+        let foundAllTokens = true;
+        
+        requestedTokens.forEach(tokenId => {
+          if (memoryCache[tokenId]) {
+            filteredResult[tokenId] = selectCurrencies(memoryCache[tokenId], requestedCurrencies, quoteOptions);
+          } else {
+            foundAllTokens = false;
+          }
+        });
+        
+        if (foundAllTokens && Object.keys(filteredResult).length > 0) {
+          const cacheAge = Math.max(...requestedTokens.map(tokenId => getPriceAgeSeconds(memoryCache[tokenId]) || 0));
+          console.log(`💾 Serving from memory cache (oldest ${Math.floor(cacheAge / 60)} min old)`);
+          logRequestMetric(req, '/api/v3/simple/price', 'memory_cache_hit', clock.now() - startTime, requestedTokens.join(','));
+          return sendPriceResult(res, filteredResult, memoryCache);
+        }
+      }
+      
+      // PRIORITY 2: Load from database
+      try {
+        console.log('🗄️ Loading from database...');
+        const dbData = await storage.loadPrices(requestedTokens);
+        
+        if (Object.keys(dbData).length > 0) {
+          // Update memory cache with database data
+          memoryCache = { ...memoryCache, ...dbData };
+          
+          const filteredResult = {};
+          requestedTokens.forEach(tokenId => {
+            if (dbData[tokenId]) {
+              filteredResult[tokenId] = selectCurrencies(dbData[tokenId], requestedCurrencies, quoteOptions);
+            }
+          });
+          
+          if (Object.keys(filteredResult).length > 0) {
+            console.log(`🗄️ Serving from database (${Object.keys(filteredResult).length} tokens found)`);
+            logRequestMetric(req, '/api/v3/simple/price', 'database_hit', clock.now() - startTime, requestedTokens.join(','));
+            return sendPriceResult(res, filteredResult, dbData);
+          }
+        }
+      } catch (dbError) {
+        console.error('❌ Database error:', dbError.message);
+      }
+      
+      // PRIORITY 3: Last known good prices from price_history (flagged degraded)
+      // Trigger background fetch if not already running
+      if (!isFetching && backgroundFetchEnabled) {
+        scheduleTimeout(() => backgroundFetchPrices(), 100);
+      }
+      
+      if (EMERGENCY_PRICE_MODE === 'refuse') {
+        console.log('🚫 No cached prices - refusing to quote (EMERGENCY_PRICE_MODE=refuse)');
+        logRequestMetric(req, '/api/v3/simple/price', 'refused_degraded', clock.now() - startTime, requestedTokens.join(','));
+        return res.status(503).json({
+          error: 'Price data temporarily unavailable',
+          message: 'No current prices and degraded quoting is disabled. Please try again shortly.',
+          degraded: true,
+          is_fetching: isFetching
+        });
+      }
+      
+      console.log('⚠️ Using last known good prices - triggering background fetch');
+      const lastKnown = await storage.loadLastKnownPrices(requestedTokens);
+      const degradedResult = {};
+      let maxAgeSeconds = 0;
+      
+      Object.entries(lastKnown).forEach(([tokenId, row]) => {
+        // Re-derive fiat prices from the latest persisted FX rates (the row's own NGN rate if none)
+        const midPrices = { usd: row.usd_price };
+        const provenance = { raw: row.raw };
+        if (cachedNGNRate) {
+          midPrices.ngn = row.usd_price * cachedNGNRate;
+          Object.assign(provenance, { fx_source: ngnRateSource, fx_rate: cachedNGNRate });
+        } else if (row.ngn_mid) {
+          midPrices.ngn = row.ngn_mid;
+          Object.assign(provenance, { fx_source: row.fx_source, fx_rate: row.ngn_rate });
+        }
+        EXTRA_FIAT_CURRENCIES.forEach(currency => {
+          if (fiatRateCache[currency]) {
+            midPrices[currency] = row.usd_price * fiatRateCache[currency].rate;
+          }
+        });
+        
+        const ageSeconds = Math.floor((clock.now() - row.timestamp) / 1000);
+        maxAgeSeconds = Math.max(maxAgeSeconds, ageSeconds);
+        degradedResult[tokenId] = {
+          ...selectCurrencies({ ...buildQuotes(tokenId, midPrices), ...provenance, last_updated: row.timestamp, source: row.source }, requestedCurrencies, quoteOptions),
+          degraded: true,
+          data_age_seconds: ageSeconds
+        };
+      });
+      
+      if (Object.keys(degradedResult).length > 0) {
+        console.log(`🚨 Serving last known good prices (up to ${Math.floor(maxAgeSeconds / 60)} min old)`);
+        logRequestMetric(req, '/api/v3/simple/price', 'last_known_good', clock.now() - startTime, requestedTokens.join(','));
+        res.set('X-Price-Degraded', 'true');
+        res.set('X-Price-Data-Age', String(maxAgeSeconds));
+        return res.json(markFrozenTokens(degradedResult));
+      }
+      
+      // Last resort
+      logRequestMetric(req, '/api/v3/simple/price', 'no_data_available', clock.now() - startTime, requestedTokens.join(','));
+      res.status(503).json({
+        error: 'Price data temporarily unavailable',
+        message: 'Background fetch in progress. Please try again in a few seconds.',
+        is_fetching: isFetching
+      });
+      
+    } catch (error) {
+      console.error('❌ Unexpected error:', error.message);
+      logRequestMetric(req, '/api/v3/simple/price', 'unexpected_error', clock.now() - startTime, error.message);
+      
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Please try again later'
+      });
+    }
+  });
+
+  // CoinGecko-style auto granularity: raw up to 1 day, hourly up to 90 days, daily beyond
+  function chartBucketFor(spanMs, interval) {
+    if (interval === 'daily') return DAY_MS;
+    if (interval === 'hourly') return HOUR_MS;
+    if (spanMs <= DAY_MS) return 0;
+    if (spanMs <= 90 * DAY_MS) return HOUR_MS;
+    return DAY_MS;
+  }
+
+  async function sendMarketChart(req, res, endpoint, from, to) {
+    const startTime = clock.now();
+    const tokenId = req.params.id;
+    const currency = (req.query.vs_currency || '').toLowerCase();
+    const interval = req.query.interval;
+    
+    if (!SUPPORTED_VS_CURRENCIES.includes(currency)) {
+      return res.status(400).json({ error: 'invalid vs_currency', supported_vs_currencies: SUPPORTED_VS_CURRENCIES });
+    }
+    if (interval && !['hourly', 'daily'].includes(interval)) {
+      return res.status(400).json({ error: 'invalid interval', supported_intervals: ['hourly', 'daily'] });
+    }
+    
+    try {
+      const prices = await storage.loadPriceHistory(tokenId, currency, from, to, chartBucketFor(to - from, interval));
+      
+      if (prices.length === 0 && !memoryCache[tokenId]) {
+        logRequestMetric(req, endpoint, 'coin_not_found', clock.now() - startTime, tokenId);
+        return res.status(404).json({ error: 'coin not found' });
+      }
+      
+      logRequestMetric(req, endpoint, 'history_hit', clock.now() - startTime, tokenId);
+      res.json({
+        prices,
+        market_caps: [],
+        total_volumes: []
+      });
+    } catch (error) {
+      console.error('❌ Market chart error:', error.message);
+      logRequestMetric(req, endpoint, 'unexpected_error', clock.now() - startTime, error.message);
+      res.status(500).json({ error: 'Internal server error', message: 'Please try again later' });
+    }
+  }
+
+  // Historical chart data from price_history (CoinGecko-compatible)
+  app.get('/api/v3/coins/:id/market_chart', (req, res) => {
+    const { days } = req.query;
+    const now = clock.now();
+    
+    if (!days) {
+      return res.status(400).json({ error: 'Missing days parameter' });
+    }
+    
+    let from;
+    if (days === 'max') {
+      from = 0;
+    } else {
+      const dayCount = parseFloat(days);
+      if (!Number.isFinite(dayCount) || dayCount <= 0) {
+        return res.status(400).json({ error: 'invalid days parameter' });
+      }
+      from = now - dayCount * DAY_MS;
+    }
+    
+    sendMarketChart(req, res, '/api/v3/coins/:id/market_chart', from, now);
+  });
+
+  app.get('/api/v3/coins/:id/market_chart/range', (req, res) => {
+    // CoinGecko takes UNIX seconds for from/to
+    const from = parseFloat(req.query.from) * 1000;
+    const to = parseFloat(req.query.to) * 1000;
+    
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+      return res.status(400).json({ error: 'invalid from/to parameters' });
+    }
+    
+    sendMarketChart(req, res, '/api/v3/coins/:id/market_chart/range', from, to);
+  });
+
+  // Supported quote currencies (CoinGecko-compatible)
+  app.get('/api/v3/simple/supported_vs_currencies', (req, res) => {
+    res.json(SUPPORTED_VS_CURRENCIES);
+  });
+
+  // Amount conversion between a fiat currency and a token, e.g. ?from=ngn&to=usd-coin&amount=25000
+  app.get('/api/v3/convert', async (req, res) => {
+    const startTime = clock.now();
+    const from = String(req.query.from || '').toLowerCase();
+    const to = String(req.query.to || '').toLowerCase();
+    const amount = String(req.query.amount || '').trim();
+    const side = String(req.query.side || 'default').toLowerCase();
+    
+    const fromFiat = SUPPORTED_VS_CURRENCIES.includes(from);
+    const toFiat = SUPPORTED_VS_CURRENCIES.includes(to);
+    if (fromFiat === toFiat) {
+      return res.status(400).json({ error: 'Exactly one of from/to must be a supported currency', supported: SUPPORTED_VS_CURRENCIES });
+    }
+    
+    const tokenId = fromFiat ? to : from;
+    const currency = fromFiat ? from : to;
+    if (!TOKEN_ID_PATTERN.test(tokenId)) {
+      return res.status(400).json({ error: `Invalid token id: ${tokenId}` });
+    }
+    if (!MARGIN_SIDES.includes(side)) {
+      return res.status(400).json({ error: `side must be one of: ${MARGIN_SIDES.join(', ')}` });
+    }
+    if (!/^\d+(\.\d+)?$/.test(amount) || parseDecimal(amount, 18) === 0n) {
+      return res.status(400).json({ error: 'amount must be a positive decimal number' });
+    }
+    
+    const inputDecimals = fromFiat ? FIAT_DECIMALS : getTokenDecimals(tokenId);
+    if (countDecimals(amount) > inputDecimals) {
+      return res.status(400).json({ error: `amount has more than ${inputDecimals} decimal places` });
+    }
+    if (frozenTokens.has(tokenId)) {
+      return res.status(409).json({ error: `${tokenId} is frozen pending review`, is_frozen: true });
+    }
+    
+    try {
+      const conversion = await convertAmount({ tokenId, currency, amount, toToken: fromFiat, side });
+      if (!conversion) {
+        logRequestMetric(req, '/api/v3/convert', 'no_data_available', clock.now() - startTime, tokenId);
+        return res.status(503).json({ error: `No fresh ${currency.toUpperCase()} price for ${tokenId}` });
+      }
+      
+      logRequestMetric(req, '/api/v3/convert', 'success', clock.now() - startTime, tokenId);
+      
+      res.json({
+        from,
+        to,
+        amount,
+        result: conversion.result,
+        side,
+        rate: conversion.rate,
+        mid_rate: conversion.mid_rate,
+        margin_per_token: conversion.margin_per_token,
+        margin_total: conversion.margin_total,
+        margin_currency: currency,
+        token_decimals: conversion.token_decimals,
+        rounding: 'down',
+        cache_age_seconds: conversion.cache_age_seconds,
+        source: conversion.source
+      });
+    } catch (error) {
+      console.error('❌ Conversion error:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
 
-// Database helper functions
-function saveToDatabase(tokenData) {
-  return new Promise((resolve, reject) => {
-    const stmt = db.prepare(`INSERT OR REPLACE INTO price_cache 
-      (token_id, usd_price, ngn_price, original_ngn, last_updated, source) 
-      VALUES (?, ?, ?, ?, ?, ?)`);
+  // Server-Sent Events stream of price updates, e.g. ?ids=tether,bitcoin&vs_currencies=ngn
+  app.get('/api/v3/stream', (req, res) => {
+    const { ids, vs_currencies, include_buy_sell, include_mid, include_last_updated_at, include_provenance } = req.query;
     
-    const timestamp = Date.now();
+    const tokens = [...new Set(parseListParam(ids))];
+    if (tokens.length === 0 || tokens.some(tokenId => !TOKEN_ID_PATTERN.test(tokenId))) {
+      return res.status(400).json({ error: 'ids must be a comma-separated list of token ids' });
+    }
     
-    Object.entries(tokenData).forEach(([tokenId, prices]) => {
-      stmt.run([
-        tokenId,
-        prices.usd || null,
-        prices.ngn || null,
-        prices.ngn ? prices.ngn - MARGIN_NGN : null,
-        timestamp,
-        'coingecko'
-      ]);
+    const currencies = vs_currencies ? parseListParam(vs_currencies) : DEFAULT_VS_CURRENCIES;
+    const unsupportedCurrencies = currencies.filter(c => !SUPPORTED_VS_CURRENCIES.includes(c));
+    if (currencies.length === 0 || unsupportedCurrencies.length > 0) {
+      return res.status(400).json({
+        error: 'invalid vs_currency',
+        unsupported: unsupportedCurrencies,
+        supported_vs_currencies: SUPPORTED_VS_CURRENCIES
+      });
+    }
+    
+    if (streamSubscribers.size >= MAX_STREAM_SUBSCRIBERS) {
+      res.set('Retry-After', '30');
+      return res.status(503).json({ error: 'Too many stream subscribers', max_subscribers: MAX_STREAM_SUBSCRIBERS });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
     });
+    res.flushHeaders();
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+    
+    const subscriber = {
+      res,
+      tokens,
+      currencies,
+      options: {
+        buySell: include_buy_sell === 'true',
+        mid: include_mid === 'true',
+        lastUpdatedAt: include_last_updated_at === 'true',
+        provenance: include_provenance === 'true'
+      }
+    };
+    
+    // Resume from Last-Event-ID when the buffer still covers it, otherwise start from a snapshot
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.last_event_id, 10);
+    const canReplay = Number.isInteger(lastEventId) && lastEventId <= streamEventId &&
+      (streamEvents.length > 0 ? streamEvents[0].id <= lastEventId + 1 : lastEventId === streamEventId);
+    
+    if (canReplay) {
+      streamEvents
+        .filter(event => event.id > lastEventId)
+        .forEach(event => sendStreamEvent(subscriber, event));
+    } else {
+      sendStreamSnapshot(subscriber);
+    }
+    
+    streamSubscribers.add(subscriber);
+    console.log(`📡 Stream subscriber connected (${streamSubscribers.size}/${MAX_STREAM_SUBSCRIBERS}): ${tokens.join(', ')}`);
+    
+    // Unknown ids are fetched once in the background; their first prices arrive as a normal event
+    touchTrackedTokens(tokens);
+    const untrackedTokens = tokens.filter(tokenId => !isTrackedToken(tokenId) && !memoryCache[tokenId]);
+    if (untrackedTokens.length > 0) {
+      fetchTokensOnDemand(untrackedTokens, rateLimitBucket(req)).catch(error => console.error('❌ Stream on-demand fetch failed:', error.message));
+    }
     
-    stmt.finalize((err) => {
-      if (err) reject(err);
-      else resolve();
+    req.on('close', () => {
+      streamSubscribers.delete(subscriber);
+      console.log(`📡 Stream subscriber disconnected (${streamSubscribers.size} left)`);
     });
   });
-}
 
-function loadFromDatabase(tokenIds = null) {
-  return new Promise((resolve, reject) => {
-    let query = 'SELECT * FROM price_cache';
-    let params = [];
-    
-    if (tokenIds && tokenIds.length > 0) {
-      const placeholders = tokenIds.map(() => '?').join(',');
-      query += ` WHERE token_id IN (${placeholders})`;
-      params = tokenIds;
-    }
+  // Current USD/NGN rate with its source, age and recent history from fx_rates
+  app.get('/api/v3/fx/ngn', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 48, 500);
     
-    db.all(query, params, (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+    try {
+      const history = await loadFxRateHistory('ngn', limit);
+      const ageSeconds = cachedNGNRate ? Math.floor((clock.now() - ngnRateCacheTime) / 1000) : null;
       
-      const data = {};
-      rows.forEach(row => {
-        data[row.token_id] = {
-          usd: row.usd_price,
-          ngn: row.ngn_price
-        };
+      res.json({
+        currency: 'ngn',
+        base: 'usd',
+        rate: cachedNGNRate,
+        source: ngnRateSource,
+        fetched_at: cachedNGNRate ? new Date(ngnRateCacheTime).toISOString() : null,
+        age_seconds: ageSeconds,
+        is_fresh: ageSeconds !== null && ageSeconds * 1000 < runtimeConfig.ngn_rate_cache_duration_ms,
+        history: history.map(row => ({
+          rate: row.rate,
+          source: row.source,
+          fetched_at: new Date(row.fetched_at).toISOString()
+        }))
       });
-      
-      resolve(data);
-    });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   });
-}
 
-function logFetchAttempt(status, tokensCount = 0, errorMessage = null, responseTime = 0) {
-  const stmt = db.prepare(`INSERT INTO fetch_logs 
-    (timestamp, status, tokens_count, error_message, response_time) 
-    VALUES (?, ?, ?, ?, ?)`);
-  
-  stmt.run([
-    Date.now(),
-    status,
-    tokensCount,
-    errorMessage,
-    responseTime
-  ]);
-  
-  stmt.finalize();
-}
+  // Provider chain status (configuration + rate-limit state, no upstream calls)
+  app.get('/providers', (req, res) => {
+    res.json(describeProviders());
+  });
 
-function logApiCall(endpoint, status, responseTime, tokensRequested) {
-  const stmt = db.prepare(`INSERT INTO api_metrics 
-    (endpoint, status, timestamp, response_time, tokens_requested) 
-    VALUES (?, ?, ?, ?, ?)`);
-  
-  stmt.run([
-    endpoint,
-    status,
-    Date.now(),
-    responseTime,
-    tokensRequested
-  ]);
-  
-  stmt.finalize();
-}
+  // Live health check of every configured provider (hits the upstreams)
+  app.get('/providers/health', async (req, res) => {
+    const check = async (entry, registry) => {
+      const provider = registry[entry.name];
+      if (!provider.isConfigured()) {
+        return { name: provider.name, kind: provider.kind, ok: false, error: 'not configured' };
+      }
+      
+      const startTime = clock.now();
+      try {
+        await provider.healthCheck({ timeout: entry.timeout_ms });
+        return { name: provider.name, kind: provider.kind, ok: true, latency_ms: clock.now() - startTime };
+      } catch (error) {
+        return { name: provider.name, kind: provider.kind, ok: false, latency_ms: clock.now() - startTime, error: error.message };
+      }
+    };
+    
+    const results = await Promise.all([
+      ...providerChains.price.map(entry => check(entry, PRICE_PROVIDERS)),
+      ...providerChains.fx.map(entry => check(entry, FX_PROVIDERS))
+    ]);
+    
+    res.json({ providers: results, timestamp: new Date(clock.now()).toISOString() });
+  });
 
-// Alchemy price fetching function
-async function fetchPricesFromAlchemy(tokenIds) {
-  if (!ALCHEMY_API_KEY) {
-    throw new Error('Alchemy API key not configured');
-  }
+  // Manual fetch trigger (for testing)
+  app.post('/fetch/trigger', async (req, res) => {
+    if (isFetching) {
+      return res.json({ message: 'Fetch already in progress', is_fetching: true });
+    }
+    
+    backgroundFetchPrices();
+    res.json({ message: 'Background fetch triggered', is_fetching: true });
+  });
+
+  // Token registry admin endpoints
+  app.get('/admin/tokens', (req, res) => {
+    res.json({
+      total_tokens: tokenRegistry.size,
+      default_tokens: getDefaultTokens(),
+      tokens: [...tokenRegistry.values()]
+    });
+  });
 
-  const symbols = tokenIds
-    .map(id => TOKEN_SYMBOL_MAP[id])
-    .filter(symbol => symbol); // Filter out unmapped tokens
+  app.get('/admin/tokens/:id', (req, res) => {
+    const token = getRegistryToken(req.params.id);
+    if (!token) {
+      return res.status(404).json({ error: 'Token not found in registry' });
+    }
+    res.json(token);
+  });
 
-  if (symbols.length === 0) {
-    throw new Error('No valid token symbols for Alchemy');
+  async function upsertRegistryToken(res, token, statusCode) {
+    const validationError = validateRegistryToken(token);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    try {
+      await saveRegistryToken(token);
+      await loadTokenRegistry();
+      res.status(statusCode).json({ success: true, token: getRegistryToken(token.coingecko_id) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
 
-  console.log(`🔷 Fetching prices from Alchemy for: ${symbols.join(', ')}`);
-  console.log(`🔷 API Key configured: ${ALCHEMY_API_KEY ? 'Yes' : 'No'}`);
+  app.post('/admin/tokens', (req, res) => {
+    const token = {
+      coingecko_id: req.body.coingecko_id,
+      symbol: req.body.symbol ? String(req.body.symbol).toUpperCase() : req.body.symbol,
+      cmc_id: req.body.cmc_id,
+      chain_id: req.body.chain_id,
+      contract_address: req.body.contract_address,
+      decimals: req.body.decimals,
+      is_default: req.body.is_default !== false
+    };
+    
+    if (getRegistryToken(token.coingecko_id)) {
+      return res.status(409).json({ error: 'Token already exists in registry' });
+    }
+    
+    upsertRegistryToken(res, token, 201);
+  });
 
-  const url = `https://api.g.alchemy.com/prices/v1/${ALCHEMY_API_KEY}/tokens/by-symbol`;
-  
-  try {
-    console.log(`🔷 POST to: ${url}`);
-    console.log(`🔷 Sending symbols: ${JSON.stringify(symbols)}`);
+  app.put('/admin/tokens/:id', (req, res) => {
+    const existing = getRegistryToken(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Token not found in registry' });
+    }
     
-    // Build query parameters for symbols
-    const params = new URLSearchParams();
-    symbols.forEach(symbol => {
-      params.append('symbols', symbol);
+    // Partial update: omitted fields keep their current value
+    const token = { ...existing };
+    ['symbol', 'cmc_id', 'chain_id', 'contract_address', 'decimals', 'is_default'].forEach(field => {
+      if (req.body[field] !== undefined) token[field] = req.body[field];
     });
+    if (token.symbol) token.symbol = String(token.symbol).toUpperCase();
     
-    console.log(`🔷 Query params: ${params.toString()}`);
-    
-    const response = await axios.post(`${url}?${params.toString()}`, {}, {
-      timeout: 30000,
-      headers: {
-        'Accept': 'application/json'
+    upsertRegistryToken(res, token, 200);
+  });
+
+  app.delete('/admin/tokens/:id', (req, res) => {
+    runWrite('DELETE FROM token_registry WHERE coingecko_id = ?', [req.params.id], async function (err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Token not found in registry' });
+      }
+      
+      try {
+        await loadTokenRegistry();
+        res.json({ success: true, default_tokens: getDefaultTokens() });
+      } catch (loadError) {
+        res.status(500).json({ error: loadError.message });
       }
     });
+  });
 
-    console.log(`🔷 Alchemy response status: ${response.status}`);
-    console.log(`🔷 Alchemy response type: ${typeof response.data}`);
+  // On-demand tracked tokens (refreshed by the background loop until idle)
+  app.get('/admin/tracked-tokens', (req, res) => {
+    res.json({
+      default_tokens: getDefaultTokens(),
+      tracked_tokens: [...trackedTokens.entries()].map(([tokenId, entry]) => ({
+        token_id: tokenId,
+        added_at: new Date(entry.added_at).toISOString(),
+        last_requested_at: new Date(entry.last_requested_at).toISOString()
+      })),
+      max_tracked_tokens: MAX_TRACKED_TOKENS,
+      on_demand_lookups_per_minute: ON_DEMAND_LOOKUPS_PER_MINUTE,
+      idle_eviction_days: TRACKED_TOKEN_IDLE_DAYS
+    });
+  });
 
-    // Transform Alchemy response to match CoinGecko format
-    const transformedData = {};
+  // Signed quotes for checkout: create, verify, redeem once
+  app.post('/quotes', async (req, res) => {
+    const tokenId = String(req.body.token_id || req.body.token || '').toLowerCase();
+    const currency = String(req.body.currency || 'ngn').toLowerCase();
+    const side = String(req.body.side || 'buy').toLowerCase();
+    const amount = typeof req.body.amount === 'string' ? parseFloat(req.body.amount) : req.body.amount;
+    
+    if (!TOKEN_ID_PATTERN.test(tokenId)) {
+      return res.status(400).json({ error: 'token_id is required' });
+    }
+    if (!SUPPORTED_VS_CURRENCIES.includes(currency)) {
+      return res.status(400).json({ error: `Unsupported currency: ${currency}`, supported: SUPPORTED_VS_CURRENCIES });
+    }
+    if (side !== 'buy' && side !== 'sell') {
+      return res.status(400).json({ error: 'side must be buy or sell' });
+    }
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+    // The total is computed from the amount truncated to the token's decimals, so the stored amount must already fit
+    const tokenDecimals = getTokenDecimals(tokenId);
+    if (Number(formatDecimal(parseDecimal(amount, tokenDecimals), tokenDecimals)) !== amount) {
+      return res.status(400).json({ error: `amount has more than ${tokenDecimals} decimal places` });
+    }
+    if (frozenTokens.has(tokenId)) {
+      return res.status(409).json({ error: `${tokenId} is frozen pending review`, is_frozen: true });
+    }
     
-    // Alchemy returns { data: [ { symbol, prices: [{ value, currency }] } ] }
-    let tokenDataArray = [];
-    if (response.data && response.data.data && Array.isArray(response.data.data)) {
-      tokenDataArray = response.data.data;
-      console.log(`🔷 Response structure: data array with ${tokenDataArray.length} items`);
-    } else if (Array.isArray(response.data)) {
-      tokenDataArray = response.data;
-      console.log(`🔷 Response structure: direct array with ${tokenDataArray.length} items`);
+    try {
+      const quote = await createQuote(tokenId, currency, side, amount);
+      if (!quote) {
+        return res.status(503).json({ error: `No fresh ${currency.toUpperCase()} price for ${tokenId}` });
+      }
+      
+      console.log(`🧾 Quote ${quote.id}: ${amount} ${tokenId} = ${quote.total} ${currency.toUpperCase()} (${side})`);
+      res.status(201).json(formatQuote(quote));
+    } catch (error) {
+      console.error('❌ Quote error:', error.message);
+      res.status(500).json({ error: error.message });
     }
+  });
 
-    console.log(`🔷 Processing ${tokenDataArray.length} tokens from Alchemy response`);
+  app.get('/quotes/:id', async (req, res) => {
+    try {
+      const quote = await loadQuote(req.params.id);
+      if (!quote) {
+        return res.status(404).json({ error: 'Quote not found' });
+      }
+      
+      const valid = verifyQuoteSignature(quote);
+      res.json({ ...formatQuote(quote), signature_valid: valid, redeemable: valid && getQuoteStatus(quote) === 'active' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
 
-    tokenDataArray.forEach((tokenData, index) => {
-      // Find the token ID from symbol
-      const tokenId = Object.keys(TOKEN_SYMBOL_MAP).find(
-        key => TOKEN_SYMBOL_MAP[key] === tokenData.symbol
-      );
+  // Consume is a single conditional UPDATE, so two concurrent redemptions can't both succeed
+  app.post('/quotes/:id/consume', async (req, res) => {
+    try {
+      const quote = await loadQuote(req.params.id);
+      if (!quote) {
+        return res.status(404).json({ error: 'Quote not found' });
+      }
+      if (!verifyQuoteSignature(quote)) {
+        return res.status(409).json({ error: 'Quote signature is invalid' });
+      }
       
-      if (tokenId) {
-        let usdPrice = null;
-        
-        // Alchemy format: prices array with {value, currency} objects
-        if (tokenData.prices && Array.isArray(tokenData.prices)) {
-          // Find USD price
-          const usdPriceObj = tokenData.prices.find(p => p.currency === 'USD' || p.currency === 'usd');
-          if (usdPriceObj && usdPriceObj.value) {
-            usdPrice = usdPriceObj.value;
-          } else if (tokenData.prices.length > 0 && tokenData.prices[0].value) {
-            usdPrice = tokenData.prices[0].value;
-          }
-        } else if (tokenData.price) {
-          usdPrice = tokenData.price;
-        }
-        
-        if (usdPrice) {
-          transformedData[tokenId] = {
-            usd: parseFloat(usdPrice),
-            ngn: null
-          };
-          console.log(`✅ ${tokenId} (${tokenData.symbol}): $${usdPrice}`);
-        } else {
-          console.log(`⚠️ ${tokenData.symbol}: No price found`);
-        }
-      } else {
-        console.log(`⚠️ Unknown symbol: ${tokenData.symbol}`);
+      const now = clock.now();
+      const consumedBy = req.body.consumed_by || req.body.reference || null;
+      const changes = await new Promise((resolve, reject) => {
+        runWrite('UPDATE quotes SET consumed_at = ?, consumed_by = ? WHERE id = ? AND consumed_at IS NULL AND expires_at > ?',
+          [now, consumedBy, quote.id, now], function (err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+          });
+      });
+      
+      if (changes === 0) {
+        const current = await loadQuote(quote.id);
+        const status = getQuoteStatus(current, now);
+        return res.status(status === 'expired' ? 410 : 409).json({ error: `Quote is ${status}`, ...formatQuote(current) });
       }
-    });
+      
+      console.log(`✅ Quote ${quote.id} consumed${consumedBy ? ` (${consumedBy})` : ''}`);
+      res.json({ success: true, ...formatQuote({ ...quote, consumed_at: now, consumed_by: consumedBy }) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
 
-    console.log(`🔷 Alchemy returned ${Object.keys(transformedData).length} token prices`);
+  // Price guard and frozen token admin endpoints
+  app.get('/admin/price-guards', (req, res) => {
+    res.json({ guards: [...priceGuards.values()] });
+  });
+
+  app.put('/admin/price-guards', async (req, res) => {
+    const isOptionalPositive = v => v === undefined || v === null || (typeof v === 'number' && Number.isFinite(v) && v > 0);
+    const guard = {
+      token_id: req.body.token_id || '*',
+      max_change_percent: req.body.max_change_percent,
+      peg_target: req.body.peg_target,
+      peg_band_percent: req.body.peg_band_percent,
+      enabled: req.body.enabled !== false
+    };
     
-    // If we're missing SEND, try fetching it by contract address
-    if (!transformedData['send-token-2'] && BASE_MAINNET_ADDRESSES['SEND']) {
-      console.log(`🔷 SEND not found by symbol, trying by contract address...`);
-      try {
-        const contractAddr = BASE_MAINNET_ADDRESSES['SEND'];
-        const addressParams = new URLSearchParams();
-        addressParams.append('addresses', contractAddr);
-        
-        const contractResponse = await axios.post(
-          `https://api.g.alchemy.com/prices/v1/${ALCHEMY_API_KEY}/tokens/by-address?chainId=8453&${addressParams.toString()}`,
-          {},
-          {
-            timeout: 30000,
-            headers: { 'Accept': 'application/json' }
-          }
-        );
-        
-        if (contractResponse.data && contractResponse.data.data && contractResponse.data.data.length > 0) {
-          const sendData = contractResponse.data.data[0];
-          if (sendData.prices && sendData.prices.length > 0) {
-            const usdPrice = sendData.prices[0].value;
-            transformedData['send-token-2'] = {
-              usd: parseFloat(usdPrice),
-              ngn: null
-            };
-            console.log(`✅ send-token-2 (SEND): $${usdPrice} [via contract address]`);
-          }
-        }
-      } catch (contractError) {
-        console.log(`⚠️ Contract address lookup failed: ${contractError.message}`);
-      }
+    if (guard.token_id !== '*' && (typeof guard.token_id !== 'string' || !TOKEN_ID_PATTERN.test(guard.token_id))) {
+      return res.status(400).json({ error: 'token_id must be a lowercase CoinGecko id or \'*\'' });
+    }
+    if (!isOptionalPositive(guard.max_change_percent) || !isOptionalPositive(guard.peg_target) || !isOptionalPositive(guard.peg_band_percent)) {
+      return res.status(400).json({ error: 'max_change_percent, peg_target and peg_band_percent must be positive numbers' });
+    }
+    if ((guard.peg_target == null) !== (guard.peg_band_percent == null)) {
+      return res.status(400).json({ error: 'peg_target and peg_band_percent must be set together' });
     }
     
-    return transformedData;
-  } catch (error) {
-    console.error(`🔷 Alchemy API Error: ${error.message}`);
-    if (error.response) {
-      console.error(`🔷 Status: ${error.response.status}`);
-      console.error(`🔷 Response type: ${typeof error.response.data}`);
-      if (typeof error.response.data === 'string') {
-        console.error(`🔷 Response (string): ${error.response.data.substring(0, 200)}`);
-      } else {
-        console.error(`🔷 Response (object):`, JSON.stringify(error.response.data).substring(0, 200));
+    try {
+      await savePriceGuard(guard);
+      await loadPriceGuards();
+      res.json({ success: true, guard: priceGuards.get(guard.token_id) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete('/admin/price-guards/:tokenId', (req, res) => {
+    runWrite('DELETE FROM price_guards WHERE token_id = ?', [req.params.tokenId], async function (err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Price guard not found' });
+      }
+      
+      try {
+        await loadPriceGuards();
+        res.json({ success: true, guards: [...priceGuards.values()] });
+      } catch (loadError) {
+        res.status(500).json({ error: loadError.message });
       }
+    });
+  });
+
+  app.get('/admin/frozen-tokens', (req, res) => {
+    res.json({
+      frozen_tokens: [...frozenTokens.entries()].map(([tokenId, entry]) => ({
+        token_id: tokenId,
+        ...entry,
+        frozen_at: new Date(entry.frozen_at).toISOString()
+      }))
+    });
+  });
+
+  // Release a frozen token: its next fetched price is accepted without the max-change check
+  app.post('/admin/frozen-tokens/:tokenId/release', (req, res) => {
+    const tokenId = req.params.tokenId;
+    
+    if (!frozenTokens.has(tokenId)) {
+      return res.status(404).json({ error: 'Token is not frozen' });
     }
-    throw error;
-  }
-}
+    
+    releaseFrozenToken(tokenId, req.body.released_by || 'admin');
+    res.json({ success: true, token_id: tokenId, frozen_tokens: [...frozenTokens.keys()] });
+  });
 
-// Get NGN exchange rate and calculate NGN prices
-async function calculateNGNPrices(tokenData) {
-  try {
-    // Get NGN rate from cache or fetch fresh
-    const usdToNgn = await getCachedNGNRate();
+  app.get('/admin/price-alerts', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
     
-    Object.keys(tokenData).forEach(tokenId => {
-      if (tokenData[tokenId].usd && !tokenData[tokenId].ngn) {
-        tokenData[tokenId].ngn = tokenData[tokenId].usd * usdToNgn;
+    db.all(`SELECT 
+      id,
+      token_id,
+      alert_type,
+      observed_price,
+      reference_price,
+      threshold_percent,
+      source,
+      message,
+      datetime(created_at/1000, 'unixepoch') as created_at,
+      datetime(released_at/1000, 'unixepoch') as released_at,
+      released_by
+      FROM price_alerts 
+      ORDER BY id DESC 
+      LIMIT ?`, [limit], (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      
+      res.json({ alerts: rows });
+    });
+  });
+
+  // Runtime configuration admin endpoints (every change is recorded in config_audit)
+  app.get('/admin/config', (req, res) => {
+    res.json({
+      config: describeConfig(),
+      default_tokens: {
+        value: getDefaultTokens(),
+        note: 'Default tokens live in the token registry; manage them through /admin/tokens (is_default)'
       }
     });
+  });
+
+  app.put('/admin/config/:key', async (req, res) => {
+    const key = req.params.key;
+    const value = req.body.value;
     
-    console.log(`✅ NGN prices calculated using rate: ₦${usdToNgn.toFixed(2)}`);
-    return tokenData;
-  } catch (error) {
-    console.error('❌ Failed to calculate NGN prices:', error.message);
+    const validationError = validateConfigValue(key, value);
+    if (validationError) {
+      return res.status(CONFIG_SCHEMA[key] ? 400 : 404).json({ error: validationError });
+    }
+    
+    try {
+      await setConfigOverride(key, value, describeRequestActor(req));
+      res.json({ success: true, config: describeConfig().find(entry => entry.key === key) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete('/admin/config/:key', async (req, res) => {
+    const key = req.params.key;
+    if (!CONFIG_SCHEMA[key]) {
+      return res.status(404).json({ error: `Unknown config key: ${key}` });
+    }
     
-    // Last resort: use fallback rate
-    const fallbackRate = 1520;
-    console.log(`⚠️ Using emergency fallback rate: ₦${fallbackRate}`);
+    try {
+      const removed = await clearConfigOverride(key, describeRequestActor(req));
+      if (!removed) {
+        return res.status(404).json({ error: `${key} has no override` });
+      }
+      res.json({ success: true, config: describeConfig().find(entry => entry.key === key) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/admin/config/audit', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
     
-    Object.keys(tokenData).forEach(tokenId => {
-      if (tokenData[tokenId].usd && !tokenData[tokenId].ngn) {
-        tokenData[tokenId].ngn = tokenData[tokenId].usd * fallbackRate;
+    db.all(`SELECT 
+      id,
+      key,
+      action,
+      old_value,
+      new_value,
+      changed_by,
+      datetime(changed_at/1000, 'unixepoch') as changed_at
+      FROM config_audit 
+      ORDER BY id DESC 
+      LIMIT ?`, [limit], (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
       }
+      
+      res.json({
+        audit: rows.map(row => ({ ...row, old_value: JSON.parse(row.old_value), new_value: JSON.parse(row.new_value) }))
+      });
     });
+  });
+
+  // API key admin endpoints (the plain key is only returned on creation)
+  app.get('/admin/api-keys', (req, res) => {
+    res.json({ scopes: Object.keys(API_KEY_SCOPES), api_keys: [...apiKeys.values()].map(describeApiKey) });
+  });
+
+  app.post('/admin/api-keys', (req, res) => {
+    const scopes = req.body.scopes || ['public'];
+    const rateLimit = req.body.rate_limit_per_minute ?? DEFAULT_KEY_RATE_LIMIT_PER_MINUTE;
+    const dailyQuota = req.body.daily_quota ?? null;
+    const isOptionalPositiveInteger = v => v === null || (Number.isInteger(v) && v > 0);
     
-    return tokenData;
-  }
-}
+    if (!req.body.name || typeof req.body.name !== 'string') {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES[scope])) {
+      return res.status(400).json({ error: `scopes must be a non-empty array of: ${Object.keys(API_KEY_SCOPES).join(', ')}` });
+    }
+    if (!isOptionalPositiveInteger(rateLimit) || !isOptionalPositiveInteger(dailyQuota)) {
+      return res.status(400).json({ error: 'rate_limit_per_minute and daily_quota must be positive integers or null' });
+    }
+    
+    const key = `pc_${crypto.randomBytes(24).toString('hex')}`;
+    const now = clock.now();
+    
+    runWrite(`INSERT INTO api_keys 
+      (name, key_prefix, key_hash, scopes, rate_limit_per_minute, daily_quota, enabled, created_at) 
+      VALUES (?, ?, ?, ?, ?, ?, 1, ?)`,
+      [req.body.name, key.slice(0, 11), hashApiKey(key), JSON.stringify(scopes), rateLimit, dailyQuota, now], async function (err) {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        
+        try {
+          await loadApiKeys();
+          console.log(`🔑 Created API key ${this.lastID} (${req.body.name}: ${scopes.join(',')})`);
+          res.status(201).json({ ...describeApiKey(apiKeys.get(hashApiKey(key))), api_key: key });
+        } catch (loadError) {
+          res.status(500).json({ error: loadError.message });
+        }
+      });
+  });
 
-// Fetch prices from CoinMarketCap API (fallback #3)
-async function fetchPricesFromCoinMarketCap(tokenIds) {
-  if (!COINMARKETCAP_API_KEY) {
-    throw new Error('CoinMarketCap API key not configured');
-  }
+  // Revoke (kept for usage history rather than deleted)
+  app.delete('/admin/api-keys/:id', (req, res) => {
+    runWrite('UPDATE api_keys SET enabled = 0, revoked_at = ? WHERE id = ? AND enabled = 1', [clock.now(), req.params.id], async function (err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Active API key not found' });
+      }
+      
+      try {
+        await loadApiKeys();
+        res.json({ success: true });
+      } catch (loadError) {
+        res.status(500).json({ error: loadError.message });
+      }
+    });
+  });
 
-  const cmcIds = tokenIds
-    .map(id => COINMARKETCAP_ID_MAP[id])
-    .filter(id => id);
+  app.get('/admin/api-keys/:id/usage', async (req, res) => {
+    const apiKeyId = parseInt(req.params.id, 10);
+    const days = Math.min(parseInt(req.query.days, 10) || 1, 90);
+    
+    if (!Number.isInteger(apiKeyId)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    try {
+      const rows = await storage.apiKeyUsage(apiKeyId, clock.now() - days * DAY_MS);
+      res.json({
+        api_key_id: apiKeyId,
+        days,
+        usage: rows.map(row => ({ ...row, last_occurrence: formatStoredTime(row.last_occurrence) }))
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
 
-  if (cmcIds.length === 0) {
-    throw new Error('No valid CoinMarketCap IDs for tokens');
-  }
+  // Webhook admin endpoints
+  app.get('/admin/webhooks', (req, res) => {
+    res.json({ event_types: WEBHOOK_EVENT_TYPES, subscriptions: webhookSubscriptions.map(describeWebhookSubscription) });
+  });
 
-  console.log(`🔶 Fetching prices from CoinMarketCap for ${cmcIds.length} tokens...`);
+  app.post('/admin/webhooks', (req, res) => {
+    const subscription = {
+      url: req.body.url,
+      secret: req.body.secret || crypto.randomBytes(32).toString('hex'),
+      events: req.body.events,
+      token_ids: req.body.token_ids ?? null,
+      change_percent: req.body.change_percent ?? null,
+      ngn_levels: req.body.ngn_levels ?? null
+    };
+    
+    const validationError = validateWebhookSubscription(subscription);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const now = clock.now();
+    runWrite(`INSERT INTO webhook_subscriptions 
+      (url, secret, events, token_ids, change_percent, ngn_levels, enabled, created_at) 
+      VALUES (?, ?, ?, ?, ?, ?, 1, ?)`, [
+      subscription.url,
+      subscription.secret,
+      JSON.stringify(subscription.events),
+      subscription.token_ids ? JSON.stringify(subscription.token_ids) : null,
+      subscription.change_percent,
+      subscription.ngn_levels ? JSON.stringify(subscription.ngn_levels) : null,
+      now
+    ], async function (err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      
+      try {
+        await loadWebhookSubscriptions();
+        const created = webhookSubscriptions.find(s => s.id === this.lastID);
+        res.status(201).json({ ...describeWebhookSubscription(created), secret: created.secret });
+      } catch (loadError) {
+        res.status(500).json({ error: loadError.message });
+      }
+    });
+  });
 
-  const url = `https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest?id=${cmcIds.join(',')}&convert=USD`;
-  
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        'X-CMC_PRO_API_KEY': COINMARKETCAP_API_KEY,
-        'Accept': 'application/json'
-      },
-      timeout: 30000
+  app.delete('/admin/webhooks/:id', (req, res) => {
+    runWrite('DELETE FROM webhook_subscriptions WHERE id = ?', [req.params.id], async function (err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Webhook subscription not found' });
+      }
+      
+      try {
+        await loadWebhookSubscriptions();
+        res.json({ success: true, subscriptions: webhookSubscriptions.map(describeWebhookSubscription) });
+      } catch (loadError) {
+        res.status(500).json({ error: loadError.message });
+      }
     });
+  });
+
+  // Sends a webhook.test event to one subscription, whatever events it subscribed to
+  app.post('/admin/webhooks/:id/test', async (req, res) => {
+    const subscription = webhookSubscriptions.find(s => s.id === parseInt(req.params.id, 10));
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    
+    try {
+      const event = { id: `evt_${crypto.randomUUID()}`, type: 'webhook.test', created_at: new Date(clock.now()).toISOString(), data: {} };
+      const deliveryId = await queueWebhookDelivery(subscription, event);
+      res.json({ success: true, delivery_id: deliveryId, event_id: event.id });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
 
-    const transformedData = {};
-    const data = response.data?.data || {};
+  // Delivery log (filter by subscription_id and/or status)
+  app.get('/admin/webhooks/deliveries', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const conditions = [];
+    const params = [];
     
-    console.log(`🔶 CoinMarketCap returned ${Object.keys(data).length} tokens`);
-
-    // Map response back to CoinGecko IDs
-    Object.entries(data).forEach(([cmcId, tokenData]) => {
-      const tokenId = Object.keys(COINMARKETCAP_ID_MAP).find(
-        key => COINMARKETCAP_ID_MAP[key] == cmcId
-      );
-      
-      if (tokenId && tokenData.quote?.USD?.price) {
-        transformedData[tokenId] = {
-          usd: parseFloat(tokenData.quote.USD.price),
-          ngn: null
-        };
-        console.log(`✅ ${tokenId}: $${tokenData.quote.USD.price}`);
+    if (req.query.subscription_id) {
+      conditions.push('subscription_id = ?');
+      params.push(req.query.subscription_id);
+    }
+    if (req.query.status) {
+      conditions.push('status = ?');
+      params.push(req.query.status);
+    }
+    
+    db.all(`SELECT 
+      id,
+      subscription_id,
+      event_id,
+      event_type,
+      status,
+      attempts,
+      response_status,
+      error,
+      datetime(created_at/1000, 'unixepoch') as created_at,
+      datetime(delivered_at/1000, 'unixepoch') as delivered_at,
+      datetime(next_attempt_at/1000, 'unixepoch') as next_attempt_at
+      FROM webhook_deliveries 
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} 
+      ORDER BY id DESC 
+      LIMIT ?`, [...params, limit], (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
       }
+      
+      res.json({ deliveries: rows });
     });
+  });
 
-    return transformedData;
-  } catch (error) {
-    console.error(`🔶 CoinMarketCap API Error: ${error.message}`);
-    if (error.response) {
-      console.error(`🔶 Status: ${error.response.status}`);
-      console.error(`🔶 Response:`, error.response.data?.status?.error_message || error.response.data);
-    }
-    throw error;
-  }
-}
-
-// Get NGN rate from CoinMarketCap (independent source for NGN conversion)
-async function fetchNGNFromCoinMarketCap() {
-  if (!COINMARKETCAP_API_KEY) {
-    throw new Error('CoinMarketCap API key not configured');
-  }
-  
-  console.log('💱 Trying CoinMarketCap...');
-  
-  const url = 'https://pro-api.coinmarketcap.com/v1/tools/price-conversion';
-  
-  const response = await axios.get(url, {
-    params: {
-      amount: 1,
-      symbol: 'USD',
-      convert: 'NGN'
-    },
-    headers: {
-      'X-CMC_PRO_API_KEY': COINMARKETCAP_API_KEY,
-      'Accept': 'application/json'
-    },
-    timeout: 10000
+  app.get('/admin/webhooks/dead-letters', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    
+    db.all(`SELECT 
+      id,
+      delivery_id,
+      subscription_id,
+      event_type,
+      payload,
+      attempts,
+      last_error,
+      datetime(created_at/1000, 'unixepoch') as created_at
+      FROM webhook_dead_letters 
+      ORDER BY id DESC 
+      LIMIT ?`, [limit], (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      
+      res.json({ dead_letters: rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })) });
+    });
   });
-  
-  console.log('💱 CMC Response:', JSON.stringify(response.data).substring(0, 300));
-  
-  // Try different response paths
-  const rate = response.data?.data?.quote?.NGN?.price || 
-               response.data?.quote?.NGN?.price ||
-               response.data?.data?.quote?.NGN?.value;
-  
-  if (rate && parseFloat(rate) > 0) {
-    return parseFloat(rate);
-  }
-  
-  throw new Error('Invalid response format from CoinMarketCap');
-}
 
-// Get NGN rate from CoinGecko (Free, no API key needed)
-async function fetchNGNFromCoinGecko() {
-  console.log('💱 Trying CoinGecko...');
-  
-  const url = 'https://api.coingecko.com/api/v3/simple/price';
-  
-  const response = await axios.get(url, {
-    params: {
-      ids: 'tether',
-      vs_currencies: 'ngn'
-    },
-    headers: {
-      'Accept': 'application/json'
-    },
-    timeout: 10000
+  // Requeue a dead letter as a fresh delivery (attempt count starts over)
+  app.post('/admin/webhooks/dead-letters/:id/retry', (req, res) => {
+    db.get('SELECT * FROM webhook_dead_letters WHERE id = ?', [req.params.id], (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!row) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+      
+      db.serialize(() => {
+        runInBackground(`UPDATE webhook_deliveries SET status = 'retrying', attempts = 0, next_attempt_at = ? WHERE id = ?`,
+          [clock.now(), row.delivery_id], `requeue webhook delivery ${row.delivery_id}`);
+        runWrite('DELETE FROM webhook_dead_letters WHERE id = ?', [row.id], (deleteErr) => {
+          if (deleteErr) {
+            return res.status(500).json({ error: deleteErr.message });
+          }
+          
+          retryDueWebhooks();
+          res.json({ success: true, delivery_id: row.delivery_id });
+        });
+      });
+    });
   });
-  
-  if (response.data?.tether?.ngn && parseFloat(response.data.tether.ngn) > 0) {
-    return parseFloat(response.data.tether.ngn);
-  }
-  
-  throw new Error('Invalid response format from CoinGecko');
-}
 
-// Get NGN rate from Binance P2P (Free, real market rates)
-async function fetchNGNFromBinance() {
-  console.log('💱 Trying Binance P2P...');
-  
-  const url = 'https://p2p.binance.com/bapi/c2c/v2/friendly/c2c/adv/search';
-  
-  const response = await axios.post(url, {
-    fiat: 'NGN',
-    page: 1,
-    rows: 10,
-    tradeType: 'BUY',
-    asset: 'USDT',
-    countries: [],
-    proMerchantAds: false,
-    shieldMerchantAds: false,
-    publisherType: null,
-    payTypes: []
-  }, {
-    headers: {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    },
-    timeout: 10000
+  // Margin rule admin endpoints (changes apply from the next background fetch)
+
+  app.get('/admin/margin-rules', (req, res) => {
+    res.json({
+      rules: marginRules,
+      active: describeMarginRules()
+    });
   });
-  
-  if (response.data?.data && Array.isArray(response.data.data) && response.data.data.length > 0) {
-    const rates = response.data.data
-      .slice(0, 5)
-      .map(ad => parseFloat(ad.adv.price))
-      .filter(price => price > 0);
+
+  app.put('/admin/margin-rules', (req, res) => {
+    const rule = {
+      token_id: req.body.token_id || '*',
+      currency: (req.body.currency || '*').toLowerCase(),
+      side: req.body.side || 'default',
+      type: req.body.type,
+      value: req.body.value,
+      tiers: req.body.tiers,
+      min_margin: req.body.min_margin,
+      max_margin: req.body.max_margin,
+      enabled: req.body.enabled === undefined ? true : !!req.body.enabled
+    };
     
-    if (rates.length > 0) {
-      const avgRate = rates.reduce((a, b) => a + b, 0) / rates.length;
-      console.log(`💱 Binance avg rate from ${rates.length} merchants: ₦${avgRate}`);
-      return avgRate;
+    const validationError = validateMarginRule(rule);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
-  }
-  
-  throw new Error('Invalid response format from Binance');
-}
+    
+    runWrite(`INSERT INTO margin_rules 
+      (token_id, currency, side, type, value, tiers, min_margin, max_margin, enabled, updated_at) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (token_id, currency, side) DO UPDATE SET 
+        type = excluded.type,
+        value = excluded.value,
+        tiers = excluded.tiers,
+        min_margin = excluded.min_margin,
+        max_margin = excluded.max_margin,
+        enabled = excluded.enabled,
+        updated_at = excluded.updated_at`, [
+      rule.token_id,
+      rule.currency,
+      rule.side,
+      rule.type,
+      rule.type === 'tiered' ? 0 : rule.value,
+      rule.type === 'tiered' ? JSON.stringify(rule.tiers) : null,
+      rule.min_margin ?? null,
+      rule.max_margin ?? null,
+      rule.enabled ? 1 : 0,
+      clock.now()
+    ], async (err) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      
+      try {
+        await loadMarginRules();
+        res.json({
+          success: true,
+          rule: marginRules.find(r => r.token_id === rule.token_id && r.currency === rule.currency && r.side === rule.side),
+          active: describeMarginRules()
+        });
+      } catch (loadError) {
+        res.status(500).json({ error: loadError.message });
+      }
+    });
+  });
 
-// Get NGN rate from ExchangeRate-API (Free tier available)
-async function fetchNGNFromExchangeRateAPI() {
-  console.log('💱 Trying ExchangeRate-API...');
-  
-  const url = 'https://api.exchangerate-api.com/v4/latest/USD';
-  
-  const response = await axios.get(url, {
-    headers: {
-      'Accept': 'application/json'
-    },
-    timeout: 10000
+  app.delete('/admin/margin-rules/:id', (req, res) => {
+    runWrite('DELETE FROM margin_rules WHERE id = ?', [req.params.id], async function (err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Margin rule not found' });
+      }
+      
+      try {
+        await loadMarginRules();
+        res.json({ success: true, active: describeMarginRules() });
+      } catch (loadError) {
+        res.status(500).json({ error: loadError.message });
+      }
+    });
   });
-  
-  if (response.data?.rates?.NGN && parseFloat(response.data.rates.NGN) > 0) {
-    return parseFloat(response.data.rates.NGN);
-  }
-  
-  throw new Error('Invalid response format from ExchangeRate-API');
-}
 
-// Master function to fetch NGN rate with multiple fallbacks
-async function fetchNGNRate() {
-  console.log('💱 Fetching USD to NGN exchange rate...');
-  
-  const fallbackRate = 1520;
-  
-  // Try multiple sources in order of preference
-  const sources = [
-    { name: 'CoinMarketCap', func: fetchNGNFromCoinMarketCap },
-    { name: 'CoinGecko', func: fetchNGNFromCoinGecko },
-    { name: 'Binance P2P', func: fetchNGNFromBinance },
-    { name: 'ExchangeRate-API', func: fetchNGNFromExchangeRateAPI }
-  ];
-  
-  for (const source of sources) {
+  // Database management endpoints
+  app.get('/database/stats', async (req, res) => {
     try {
-      const rate = await source.func();
-      if (rate && rate > 0) {
-        console.log(`✅ Got NGN rate: ₦${rate.toFixed(2)} from ${source.name}`);
-        return rate;
-      }
+      const rows = await storage.listPrices();
+      
+      res.json({
+        storage_backend: storage.backend,
+        total_tokens: rows.length,
+        tokens: rows.map(row => ({
+          token_id: row.token_id,
+          usd_price: row.usd_price,
+          ngn_price: row.ngn_price,
+          source: row.source,
+          fx_source: row.fx_source,
+          fx_rate: row.fx_rate,
+          last_updated_human: formatStoredTime(row.last_updated),
+          age_minutes: row.last_updated ? Math.floor((clock.now() - row.last_updated) / 60000) : null
+        })),
+        memory_cache_count: Object.keys(memoryCache).length
+      });
     } catch (error) {
-      console.log(`⚠️ ${source.name} failed: ${error.message}`);
-      continue;
+      res.status(500).json({ error: error.message });
     }
-  }
-  
-  console.log(`⚠️ All sources failed, using fallback rate: ₦${fallbackRate}`);
-  return fallbackRate;
-}
+  });
 
-// Get cached NGN rate with memory + database persistence
-async function getCachedNGNRate() {
-  const now = Date.now();
-  
-  // Check memory cache first
-  if (cachedNGNRate && (now - ngnRateCacheTime) < NGN_RATE_CACHE_DURATION) {
-    const ageMinutes = Math.floor((now - ngnRateCacheTime) / 60000);
-    console.log(`💱 Using cached NGN rate: ₦${cachedNGNRate.toFixed(2)} (${ageMinutes}m old)`);
-    return cachedNGNRate;
-  }
-  
-  // Fetch fresh rate
-  try {
-    const rate = await fetchNGNRate();
-    cachedNGNRate = rate;
-    ngnRateCacheTime = now;
-    return rate;
-  } catch (error) {
-    // If fetch fails but we have old cache, use it
-    if (cachedNGNRate) {
-      console.log(`⚠️ Using stale cached rate: ₦${cachedNGNRate.toFixed(2)}`);
-      return cachedNGNRate;
+  app.get('/database/metrics', async (req, res) => {
+    try {
+      const rows = await storage.apiCallStats(clock.now() - 24*60*60*1000);
+      
+      res.json({
+        last_24_hours: rows.map(row => ({ ...row, last_occurrence: formatStoredTime(row.last_occurrence) })),
+        total_fetch_attempts: fetchAttempts
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
-    throw error;
-  }
-}
-
-// Background fetch function with rate limiting and exponential backoff
-async function backgroundFetchPrices(retryCount = 0) {
-  if (isFetching) {
-    console.log('⏳ Background fetch already in progress, skipping...');
-    return;
-  }
-
-  // Check if we're rate limited
-  const now = Date.now();
-  if (now < rateLimitedUntil) {
-    const waitMinutes = Math.ceil((rateLimitedUntil - now) / 60000);
-    console.log(`⏸️ Rate limited. Waiting ${waitMinutes} more minute(s)...`);
-    return;
-  }
-
-  // Enforce minimum time between requests
-  const timeSinceLastRequest = now - lastRequestTime;
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-    const waitSeconds = Math.ceil((MIN_REQUEST_INTERVAL - timeSinceLastRequest) / 1000);
-    console.log(`⏸️ Throttling: waiting ${waitSeconds}s before next request...`);
-    return;
-  }
+  });
 
-  isFetching = true;
-  fetchAttempts++;
-  const startTime = Date.now();
-  
-  try {
-    console.log(`🔄 Background fetch #${fetchAttempts} starting...`);
-    
-    lastRequestTime = Date.now();
-    let originalData = {};
-    let source = 'coingecko';
-    
-    // Try CoinGecko first
+  app.get('/fetch/logs', async (req, res) => {
     try {
-      const tokenList = DEFAULT_TOKENS.join(',');
-      const coinGeckoUrl = `https://api.coingecko.com/api/v3/simple/price?ids=${tokenList}&vs_currencies=usd,ngn`;
+      const rows = await storage.recentFetchLogs(20);
       
-      const response = await axios.get(coinGeckoUrl, {
-        timeout: 30000,
-        headers: {
-          'User-Agent': 'PayCrypt-API/1.0',
-          'Accept': 'application/json'
-        }
+      res.json({
+        recent_fetches: rows.map(({ timestamp, ...row }) => ({ fetch_time: formatStoredTime(timestamp), ...row })),
+        total_attempts: fetchAttempts,
+        is_currently_fetching: isFetching,
+        last_successful_fetch: new Date(lastSuccessfulFetch).toISOString()
       });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // TEST ENDPOINT: NGN rate from all sources
+  app.get('/test/ngn-rate', async (req, res) => {
+    try {
+      console.log('\n💱 ========== NGN RATE TEST ==========');
       
-      originalData = response.data;
-      console.log('✅ Fetched from CoinGecko');
-    } catch (coinGeckoError) {
-      const isCoinGeckoRateLimit = coinGeckoError.response && coinGeckoError.response.status === 429;
+      const results = {
+        sources: {},
+        final_rate: null,
+        cached: false
+      };
       
-      if (isCoinGeckoRateLimit && ALCHEMY_API_KEY) {
-        console.log('⚠️ CoinGecko rate limited, trying Alchemy...');
-        
-        // Try Alchemy as fallback
+      // Test each source individually
+      for (const entry of providerChains.fx) {
+        const source = FX_PROVIDERS[entry.name];
         try {
-          originalData = await fetchPricesFromAlchemy(DEFAULT_TOKENS);
-          // Calculate NGN prices from USD
-          originalData = await calculateNGNPrices(originalData);
-          source = 'alchemy';
-          console.log('✅ Fetched from Alchemy');
-        } catch (alchemyError) {
-          console.error('❌ Alchemy fetch failed:', alchemyError.message);
+          const startTime = clock.now();
+          const rate = await source.fetchRate('NGN', { timeout: entry.timeout_ms });
+          const responseTime = clock.now() - startTime;
           
-          // Try CoinMarketCap as third fallback
-          if (COINMARKETCAP_API_KEY) {
-            console.log('⚠️ Alchemy failed, trying CoinMarketCap...');
-            try {
-              originalData = await fetchPricesFromCoinMarketCap(DEFAULT_TOKENS);
-              // Calculate NGN prices with multi-source fallback
-              originalData = await calculateNGNPrices(originalData);
-              
-              source = 'coinmarketcap';
-              console.log('✅ Fetched from CoinMarketCap');
-            } catch (cmcError) {
-              console.error('❌ CoinMarketCap fetch failed:', cmcError.message);
-              throw coinGeckoError; // Throw original CoinGecko error
-            }
-          } else {
-            throw coinGeckoError; // Throw original CoinGecko error
-          }
+          results.sources[source.label] = {
+            success: true,
+            rate: rate.toFixed(2),
+            response_time_ms: responseTime
+          };
+        } catch (error) {
+          results.sources[source.label] = {
+            success: false,
+            error: error.message
+          };
         }
-      } else {
-        throw coinGeckoError; // Re-throw if not rate limit or no Alchemy key
       }
-    }
-    
-    if (originalData && Object.keys(originalData).length > 0) {
-      // Apply margin to NGN prices
-      const modifiedData = {};
-      
-      Object.entries(originalData).forEach(([tokenId, prices]) => {
-        modifiedData[tokenId] = {
-          ...prices,
-          ngn: prices.ngn ? prices.ngn + MARGIN_NGN : prices.ngn
-        };
-      });
       
-      // Update both memory cache and database
-      memoryCache = { ...memoryCache, ...modifiedData };
-      lastSuccessfulFetch = Date.now();
-      consecutiveFailures = 0; // Reset failure counter on success
+      // Get final rate using priority system
+      results.final_rate = await getCachedNGNRate();
+      results.cached = (clock.now() - ngnRateCacheTime) < runtimeConfig.ngn_rate_cache_duration_ms;
       
-      // Save to database
-      await saveToDatabase(modifiedData);
+      console.log('💱 ========== TEST COMPLETE ==========\n');
       
-      const responseTime = Date.now() - startTime;
-      console.log(`✅ Background fetch SUCCESS! Updated ${Object.keys(modifiedData).length} tokens from ${source} (${responseTime}ms)`);
+      res.json({
+        success: true,
+        final_rate: results.final_rate.toFixed(2),
+        cached: results.cached,
+        cache_age_minutes: Math.floor((clock.now() - ngnRateCacheTime) / 60000),
+        sources_tested: results.sources,
+        cmc_api_key_configured: !!COINMARKETCAP_API_KEY,
+        timestamp: new Date(clock.now()).toISOString()
+      });
       
-      logFetchAttempt('success', Object.keys(modifiedData).length, `source: ${source}`, responseTime);
+    } catch (error) {
+      console.error('💱 ========== TEST FAILED ==========');
+      console.error('Error:', error.message);
+      console.log('💱 ==================================\n');
       
-    } else {
-      throw new Error('Empty response from CoinGecko');
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        cmc_api_key_configured: !!COINMARKETCAP_API_KEY
+      });
     }
-    
-  } catch (error) {
-    const responseTime = Date.now() - startTime;
-    const isRateLimit = error.response && error.response.status === 429;
-    
-    if (isRateLimit) {
-      consecutiveFailures++;
-      // Exponential backoff: 5min, 10min, 30min, 60min
-      const backoffMinutes = Math.min(5 * Math.pow(2, consecutiveFailures - 1), 60);
-      rateLimitedUntil = Date.now() + (backoffMinutes * 60 * 1000);
-      
-      console.error(`🚫 RATE LIMITED (429) - Backing off for ${backoffMinutes} minutes`);
-      console.log(`⏰ Next fetch attempt after: ${new Date(rateLimitedUntil).toISOString()}`);
+  });
+
+  // TEST ENDPOINT: NGN price calculation
+  app.get('/test/ngn-calculation', async (req, res) => {
+    try {
+      const testData = {
+        'bitcoin': { usd: 65000, ngn: null },
+        'ethereum': { usd: 3200, ngn: null },
+        'tether': { usd: 1.00, ngn: null }
+      };
       
-      logFetchAttempt('rate_limited', 0, `Rate limited - backoff ${backoffMinutes}min`, responseTime);
-    } else {
-      console.error(`❌ Background fetch FAILED (attempt #${fetchAttempts}):`, error.message);
-      logFetchAttempt('error', 0, error.message, responseTime);
+      console.log('💱 Testing NGN price calculation...');
+      const result = await calculateNGNPrices(testData);
       
-      // Retry for non-rate-limit errors
-      if (retryCount < MAX_RETRIES) {
-        const retryDelay = INITIAL_RETRY_DELAY * Math.pow(2, retryCount);
-        console.log(`🔄 Retrying in ${retryDelay/1000}s... (attempt ${retryCount + 1}/${MAX_RETRIES})`);
-        setTimeout(() => backgroundFetchPrices(retryCount + 1), retryDelay);
-      }
-    }
-    
-    // Don't reset lastSuccessfulFetch - keep serving cached data
-  } finally {
-    isFetching = false;
-  }
-}
-
-// Load cache from database on startup
-async function initializeCache() {
-  console.log('🚀 SERVER STARTING (Cold Start Detection)');
-  console.log(`📅 Server start time: ${new Date().toISOString()}`);
-  
-  try {
-    console.log('📚 Loading cache from database...');
-    const dbData = await loadFromDatabase();
-    
-    if (Object.keys(dbData).length > 0) {
-      memoryCache = dbData;
-      
-      // Find the most recent update time
-      const result = await new Promise((resolve, reject) => {
-        db.get('SELECT MAX(last_updated) as latest FROM price_cache', (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
+      res.json({
+        success: true,
+        ngn_rate: cachedNGNRate?.toFixed(2),
+        prices: result,
+        cache_age_minutes: Math.floor((clock.now() - ngnRateCacheTime) / 60000),
+        with_margin: Object.fromEntries(
+          Object.entries(result).map(([id, prices]) => [
+            id, 
+            { usd: prices.usd, ngn: prices.ngn, ngn_with_margin: applyMargin(id, 'ngn', prices.ngn).toFixed(2) }
+          ])
+        ),
+        timestamp: new Date(clock.now()).toISOString()
       });
       
-      if (result && result.latest) {
-        lastSuccessfulFetch = result.latest;
-        const ageMinutes = Math.floor((Date.now() - result.latest) / 60000);
-        console.log(`✅ Loaded ${Object.keys(dbData).length} tokens from database (${ageMinutes} min old)`);
-      }
-    } else {
-      console.log('📭 Database is empty - will fetch fresh data');
-    }
-    
-    // Immediate background fetch if data is stale or missing
-    if (Object.keys(memoryCache).length === 0 || (Date.now() - lastSuccessfulFetch) > CACHE_FRESH_DURATION) {
-      console.log('🔄 Triggering immediate background fetch...');
-      setTimeout(() => backgroundFetchPrices(), 1000); // Small delay to let server start
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
     }
-    
-  } catch (error) {
-    console.error('❌ Error loading from database:', error.message);
-    // Trigger immediate fetch on error
-    setTimeout(() => backgroundFetchPrices(), 2000);
-  }
-}
+  });
 
-// Set up background fetch interval
-setInterval(() => {
-  backgroundFetchPrices();
-}, BACKGROUND_FETCH_INTERVAL);
-
-// Health endpoint (for uptime monitoring)
-app.get('/health', (req, res) => {
-  const now = Date.now();
-  const cacheAge = Math.floor((now - lastSuccessfulFetch) / 1000);
-  const uptimeSeconds = Math.floor((now - serverStartTime) / 1000);
-  const isRateLimited = now < rateLimitedUntil;
-  
-  db.get('SELECT COUNT(*) as count FROM price_cache', (err, row) => {
-    res.json({ 
-      success: true, 
-      server_uptime_seconds: uptimeSeconds,
-      server_uptime_minutes: Math.floor(uptimeSeconds / 60),
-      message: 'PayCrypt Price API - Background Fetch Strategy!',
-      margin: `+${MARGIN_NGN} NGN`,
-      cache_age_seconds: cacheAge,
-      cache_age_minutes: Math.floor(cacheAge / 60),
-      last_successful_fetch: new Date(lastSuccessfulFetch).toISOString(),
-      memory_cached_tokens: Object.keys(memoryCache).length,
-      database_token_count: row ? row.count : 0,
-      cache_status: Object.keys(memoryCache).length > 0 ? 'has_data' : 'empty',
-      is_fetching: isFetching,
-      is_rate_limited: isRateLimited,
-      rate_limit_expires: isRateLimited ? new Date(rateLimitedUntil).toISOString() : null,
-      consecutive_failures: consecutiveFailures,
-      total_fetch_attempts: fetchAttempts,
-      background_fetch_interval_minutes: BACKGROUND_FETCH_INTERVAL / 60000,
-      min_request_interval_seconds: MIN_REQUEST_INTERVAL / 1000,
-      cache_fresh_threshold_minutes: CACHE_FRESH_DURATION / 60000,
-      database_enabled: true
+  // Root endpoint
+  app.get('/', (req, res) => {
+    const uptime = Math.floor((clock.now() - serverStartTime) / 1000);
+    
+    res.json({
+      name: 'PayCrypt Price API - Background Fetch Strategy',
+      description: 'Non-blocking API with background price fetching every 5 minutes',
+      margin_rules: describeMarginRules(),
+      server_uptime_seconds: uptime,
+      features: {
+        background_fetch: true,
+        fetch_interval_minutes: runtimeConfig.background_fetch_interval_ms / 60000,
+        database_persistence: true,
+        memory_cache: true,
+        non_blocking_api: true,
+        emergency_price_mode: EMERGENCY_PRICE_MODE,
+        cold_start_detection: true,
+        price_history: true,
+        price_history_retention_days: PRICE_HISTORY_RETENTION_DAYS,
+        prometheus_metrics: '/metrics'
+      },
+      status: {
+        total_fetch_attempts: fetchAttempts,
+        is_fetching: isFetching,
+        cached_tokens: Object.keys(memoryCache).length,
+        last_successful_fetch: new Date(lastSuccessfulFetch).toISOString()
+      },
+      supported_vs_currencies: SUPPORTED_VS_CURRENCIES,
+      usage: '/api/v3/simple/price?ids=tether,ethereum&vs_currencies=ngn,usd',
+      usage_buy_sell: '/api/v3/simple/price?ids=tether&vs_currencies=ngn&include_buy_sell=true&include_mid=true',
+      usage_freshness: '/api/v3/simple/price?ids=tether&vs_currencies=ngn&include_last_updated_at=true',
+      usage_provenance: '/api/v3/simple/price?ids=tether&vs_currencies=ngn&include_provenance=true',
+      usage_stream: '/api/v3/stream?ids=tether,bitcoin&vs_currencies=ngn (text/event-stream)',
+      authentication: {
+        header: 'X-API-Key (or Authorization: Bearer)',
+        required_for_public_reads: REQUIRE_API_KEY,
+        scopes: Object.keys(API_KEY_SCOPES)
+      },
+      stale_price_policy: STALE_PRICE_POLICY,
+      stale_after_seconds: CACHE_STALE_DURATION / 1000
     });
   });
-});
 
-// Main price endpoint - ALWAYS serve from cache/database (no waiting)
-app.get('/api/v3/simple/price', async (req, res) => {
-  const startTime = Date.now();
-  
-  try {
-    const { ids, vs_currencies } = req.query;
-    
-    if (!ids) {
-      return res.status(400).json({ error: 'Missing ids parameter' });
-    }
+  // Load state, start the schedulers and listen. backgroundFetch: false leaves every fetch to
+  // explicit fetchPrices() calls (tests drive the provider chain that way)
+  async function start({ port = PORT, backgroundFetch = true } = {}) {
+    backgroundFetchEnabled = backgroundFetch;
+    await initializeDatabase();
+    await storage.init();
+    await initializeCache();
+    startSchedulers();
     
-    const requestedTokens = ids.split(',').map(id => id.trim());
-    console.log(`📊 Request for: ${requestedTokens.join(', ')}`);
-    
-    // PRIORITY 1: Serve from memory cache (fastest)
-    if (memoryCache && Object.keys(memoryCache).length > 0) {
-      const filteredResult = {};
-      let foundAllTokens = true;
-      
-      requestedTokens.forEach(tokenId => {
-        if (memoryCache[tokenId]) {
-          filteredResult[tokenId] = memoryCache[tokenId];
-        } else {
-          foundAllTokens = false;
-        }
+    await new Promise(resolve => {
+      server = app.listen(port, () => {
+        console.log(`🚀 PayCrypt Price API running on port ${server.address().port}`);
+        console.log(`💰 Margin rules active: ${describeMarginRules().map(r => `${r.token_id}/${r.currency}/${r.side} ${r.summary}`).join(', ') || 'none'}`);
+        console.log(`🗄️ DATABASE ENABLED: SQLite persistent storage${storage.backend === 'postgres' ? ' (prices, history and logs in PostgreSQL)' : ''}`);
+        console.log(`🔄 BACKGROUND FETCH: Every ${runtimeConfig.background_fetch_interval_ms/60000} minutes`);
+        console.log(`⚡ NON-BLOCKING API: Always serves from cache/database`);
+        console.log(`🎯 Strategy: Background fetch + instant cache responses`);
+        console.log(`📊 Monitor with: /health, /health/live, /health/ready, /fetch/logs, /database/stats, /metrics (Prometheus)`);
+        ready = true;
+        resolve();
       });
-      
-      if (foundAllTokens && Object.keys(filteredResult).length > 0) {
-        const cacheAge = Math.floor((Date.now() - lastSuccessfulFetch) / 60000);
-        console.log(`💾 Serving from memory cache (${cacheAge} min old)`);
-        logApiCall('/api/v3/simple/price', 'memory_cache_hit', Date.now() - startTime, requestedTokens.join(','));
-        return res.json(filteredResult);
-      }
-    }
-    
-    // PRIORITY 2: Load from database
-    try {
-      console.log('🗄️ Loading from database...');
-      const dbData = await loadFromDatabase(requestedTokens);
-      
-      if (Object.keys(dbData).length > 0) {
-        // Update memory cache with database data
-        memoryCache = { ...memoryCache, ...dbData };
-        
-        const filteredResult = {};
-        requestedTokens.forEach(tokenId => {
-          if (dbData[tokenId]) {
-            filteredResult[tokenId] = dbData[tokenId];
-          }
-        });
-        
-        if (Object.keys(filteredResult).length > 0) {
-          console.log(`🗄️ Serving from database (${Object.keys(filteredResult).length} tokens found)`);
-          logApiCall('/api/v3/simple/price', 'database_hit', Date.now() - startTime, requestedTokens.join(','));
-          return res.json(filteredResult);
-        }
-      }
-    } catch (dbError) {
-      console.error('❌ Database error:', dbError.message);
-    }
-    
-    // PRIORITY 3: Emergency defaults (only for critical tokens)
-    console.log('⚠️ Using emergency defaults - triggering background fetch');
-    
-    // Trigger background fetch if not already running
-    if (!isFetching) {
-      setTimeout(() => backgroundFetchPrices(), 100);
-    }
-    
-    const defaultResult = {};
-    
-    requestedTokens.forEach(tokenId => {
-      if (tokenId === 'tether' || tokenId === 'usd-coin') {
-        defaultResult[tokenId] = {
-          usd: 1.00,
-          ngn: 1520 + MARGIN_NGN
-        };
-      } else if (tokenId === 'bitcoin') {
-        defaultResult[tokenId] = {
-          usd: 65000,
-          ngn: (65000 * 1520) + MARGIN_NGN
-        };
-      } else if (tokenId === 'ethereum') {
-        defaultResult[tokenId] = {
-          usd: 3200,
-          ngn: (3200 * 1520) + MARGIN_NGN
-        };
-      }
-    });
-    
-    if (Object.keys(defaultResult).length > 0) {
-      console.log('🚨 Serving emergency defaults');
-      logApiCall('/api/v3/simple/price', 'emergency_defaults', Date.now() - startTime, requestedTokens.join(','));
-      return res.json(defaultResult);
-    }
-    
-    // Last resort
-    logApiCall('/api/v3/simple/price', 'no_data_available', Date.now() - startTime, requestedTokens.join(','));
-    res.status(503).json({
-      error: 'Price data temporarily unavailable',
-      message: 'Background fetch in progress. Please try again in a few seconds.',
-      is_fetching: isFetching
-    });
-    
-  } catch (error) {
-    console.error('❌ Unexpected error:', error.message);
-    logApiCall('/api/v3/simple/price', 'unexpected_error', Date.now() - startTime, error.message);
-    
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Please try again later'
     });
+    return server;
   }
-});
 
-// Manual fetch trigger (for testing)
-app.post('/fetch/trigger', async (req, res) => {
-  if (isFetching) {
-    return res.json({ message: 'Fetch already in progress', is_fetching: true });
+  // Wait for work to settle, but never past the shutdown deadline (resolves false on timeout)
+  function settleBefore(deadline, work) {
+    return Promise.race([work.then(() => true, () => true), deadline]);
   }
-  
-  backgroundFetchPrices();
-  res.json({ message: 'Background fetch triggered', is_fetching: true });
-});
-
-// Database management endpoints
-app.get('/database/stats', (req, res) => {
-  db.all(`SELECT 
-    token_id, 
-    usd_price, 
-    ngn_price, 
-    datetime(last_updated/1000, 'unixepoch') as last_updated_human,
-    (strftime('%s', 'now') * 1000 - last_updated) / 60000 as age_minutes
-    FROM price_cache 
-    ORDER BY last_updated DESC`, (err, rows) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
-    
-    res.json({
-      total_tokens: rows.length,
-      tokens: rows,
-      memory_cache_count: Object.keys(memoryCache).length
+
+  function waitForLogWrites() {
+    return new Promise(resolve => {
+      const check = () => (pendingLogWrites === 0 ? resolve() : setTimeout(check, 25));
+      check();
     });
-  });
-});
-
-app.get('/database/metrics', (req, res) => {
-  db.all(`SELECT 
-    status,
-    COUNT(*) as count,
-    AVG(response_time) as avg_response_time,
-    datetime(MAX(timestamp)/1000, 'unixepoch') as last_occurrence
-    FROM api_metrics 
-    WHERE timestamp > ? 
-    GROUP BY status
-    ORDER BY count DESC`, [Date.now() - 24*60*60*1000], (err, rows) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
+  }
+
+  // Graceful shutdown: stop accepting requests, cancel the schedulers and pending retries, let an
+  // in-flight fetch and open requests finish, flush log writes, then close the database
+  // (only if createApp opened it). Everything after the deadline is cut short.
+  function stop({ timeoutMs = SHUTDOWN_TIMEOUT } = {}) {
+    if (!stopping) {
+      stopping = shutdown(timeoutMs);
     }
-    
-    res.json({
-      last_24_hours: rows,
-      total_fetch_attempts: fetchAttempts
+    return stopping;
+  }
+
+  async function shutdown(timeoutMs) {
+    const startedAt = Date.now();
+    let deadlineTimer;
+    const deadline = new Promise(resolve => {
+      deadlineTimer = setTimeout(() => resolve(false), timeoutMs);
     });
-  });
-});
-
-app.get('/fetch/logs', (req, res) => {
-  db.all(`SELECT 
-    datetime(timestamp/1000, 'unixepoch') as fetch_time,
-    status,
-    tokens_count,
-    error_message,
-    response_time
-    FROM fetch_logs 
-    ORDER BY timestamp DESC 
-    LIMIT 20`, (err, rows) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
     
-    res.json({
-      recent_fetches: rows,
-      total_attempts: fetchAttempts,
-      is_currently_fetching: isFetching,
-      last_successful_fetch: new Date(lastSuccessfulFetch).toISOString()
-    });
-  });
-});
-
-// TEST ENDPOINT: NGN rate from all sources
-app.get('/test/ngn-rate', async (req, res) => {
-  try {
-    console.log('\n💱 ========== NGN RATE TEST ==========');
+    stopped = true;
+    ready = false;
+    console.log(`🛑 Shutting down (deadline ${timeoutMs / 1000}s)...`);
     
-    const results = {
-      sources: {},
-      final_rate: null,
-      cached: false
-    };
+    clearInterval(backgroundFetchTimer);
+    backgroundFetchTimer = null;
+    schedulerIntervals.forEach(timer => clearInterval(timer));
+    pendingTimeouts.forEach(timer => clearTimeout(timer));
+    pendingTimeouts.clear();
+    streamSubscribers.forEach(subscriber => subscriber.res.end());
+    streamSubscribers.clear();
     
-    // Test each source individually
-    const sources = [
-      { name: 'CoinMarketCap', func: fetchNGNFromCoinMarketCap },
-      { name: 'CoinGecko', func: fetchNGNFromCoinGecko },
-      { name: 'Binance P2P', func: fetchNGNFromBinance },
-      { name: 'ExchangeRate-API', func: fetchNGNFromExchangeRateAPI }
-    ];
+    const serverClosed = server
+      ? new Promise(resolve => {
+        server.close(resolve);
+        server.closeIdleConnections();
+      })
+      : Promise.resolve();
     
-    for (const source of sources) {
-      try {
-        const startTime = Date.now();
-        const rate = await source.func();
-        const responseTime = Date.now() - startTime;
-        
-        results.sources[source.name] = {
-          success: true,
-          rate: rate.toFixed(2),
-          response_time_ms: responseTime
-        };
-      } catch (error) {
-        results.sources[source.name] = {
-          success: false,
-          error: error.message
-        };
+    const inFlight = [currentFetch, ...onDemandFetches.values()].filter(work => work);
+    if (inFlight.length > 0) {
+      console.log(`⏳ Waiting for ${inFlight.length} in-flight fetch(es)...`);
+      if (!await settleBefore(deadline, Promise.all(inFlight))) {
+        console.warn('⚠️ Shutdown deadline reached with a fetch still running');
       }
     }
     
-    // Get final rate using priority system
-    results.final_rate = await getCachedNGNRate();
-    results.cached = (Date.now() - ngnRateCacheTime) < NGN_RATE_CACHE_DURATION;
-    
-    console.log('💱 ========== TEST COMPLETE ==========\n');
+    if (!await settleBefore(deadline, serverClosed)) {
+      console.warn('⚠️ Shutdown deadline reached with requests still open - closing their connections');
+      server.closeAllConnections();
+    }
     
-    res.json({
-      success: true,
-      final_rate: results.final_rate.toFixed(2),
-      cached: results.cached,
-      cache_age_minutes: Math.floor((Date.now() - ngnRateCacheTime) / 60000),
-      sources_tested: results.sources,
-      cmc_api_key_configured: !!COINMARKETCAP_API_KEY,
-      timestamp: new Date().toISOString()
-    });
-    
-  } catch (error) {
-    console.error('💱 ========== TEST FAILED ==========');
-    console.error('Error:', error.message);
-    console.log('💱 ==================================\n');
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      cmc_api_key_configured: !!COINMARKETCAP_API_KEY
-    });
-  }
-});
-
-// TEST ENDPOINT: NGN price calculation
-app.get('/test/ngn-calculation', async (req, res) => {
-  try {
-    const testData = {
-      'bitcoin': { usd: 65000, ngn: null },
-      'ethereum': { usd: 3200, ngn: null },
-      'tether': { usd: 1.00, ngn: null }
-    };
+    if (!await settleBefore(deadline, transactionQueues.get(db) || Promise.resolve())) {
+      console.warn('⚠️ Shutdown deadline reached with a database transaction still open');
+    }
     
-    console.log('💱 Testing NGN price calculation...');
-    const result = await calculateNGNPrices(testData);
+    if (!await settleBefore(deadline, waitForLogWrites())) {
+      console.warn(`⚠️ Shutdown deadline reached with ${pendingLogWrites} log write(s) pending`);
+    }
+    clearTimeout(deadlineTimer);
     
-    res.json({
-      success: true,
-      ngn_rate: cachedNGNRate?.toFixed(2),
-      prices: result,
-      cache_age_minutes: Math.floor((Date.now() - ngnRateCacheTime) / 60000),
-      with_margin: Object.fromEntries(
-        Object.entries(result).map(([id, prices]) => [
-          id, 
-          { usd: prices.usd, ngn: prices.ngn, ngn_with_margin: (prices.ngn + MARGIN_NGN).toFixed(2) }
-        ])
-      ),
-      timestamp: new Date().toISOString()
-    });
-    
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Root endpoint
-app.get('/', (req, res) => {
-  const uptime = Math.floor((Date.now() - serverStartTime) / 1000);
-  
-  res.json({
-    name: 'PayCrypt Price API - Background Fetch Strategy',
-    description: 'Non-blocking API with background price fetching every 5 minutes',
-    margin: `+${MARGIN_NGN} NGN`,
-    server_uptime_seconds: uptime,
-    features: {
-      background_fetch: true,
-      fetch_interval_minutes: BACKGROUND_FETCH_INTERVAL / 60000,
-      database_persistence: true,
-      memory_cache: true,
-      non_blocking_api: true,
-      emergency_fallbacks: true,
-      cold_start_detection: true
-    },
-    status: {
-      total_fetch_attempts: fetchAttempts,
-      is_fetching: isFetching,
-      cached_tokens: Object.keys(memoryCache).length,
-      last_successful_fetch: new Date(lastSuccessfulFetch).toISOString()
-    },
-    usage: '/api/v3/simple/price?ids=tether,ethereum&vs_currencies=ngn,usd'
-  });
-});
+    await storage.close().catch(error => console.error('❌ Failed to close price storage:', error.message));
+    if (ownsDb) {
+      await new Promise(resolve => db.close(err => {
+        if (err) console.error('❌ Failed to close database:', err.message);
+        resolve();
+      }));
+    }
+    console.log(`👋 Shutdown complete in ${Date.now() - startedAt}ms`);
+  }
+
+  return {
+    app,
+    db,
+    start,
+    stop,
+    fetchPrices: backgroundFetchPrices
+  };
+}
 
-// Initialize and start server
-async function startServer() {
-  await initializeCache();
+if (require.main === module) {
+  const instance = createApp();
+  // A process that failed to start must not linger unable to serve; exit so the platform restarts it
+  instance.start().catch(error => {
+    console.error('❌ Failed to start server:', error);
+    process.exit(1);
+  });
   
-  app.listen(PORT, () => {
-    console.log(`🚀 PayCrypt Price API running on port ${PORT}`);
-    console.log(`💰 Adding ${MARGIN_NGN} NGN margin to all prices`);
-    console.log(`🗄️ DATABASE ENABLED: SQLite persistent storage`);
-    console.log(`🔄 BACKGROUND FETCH: Every ${BACKGROUND_FETCH_INTERVAL/60000} minutes`);
-    console.log(`⚡ NON-BLOCKING API: Always serves from cache/database`);
-    console.log(`🎯 Strategy: Background fetch + instant cache responses`);
-    console.log(`📊 Monitor with: /health, /fetch/logs, /database/stats`);
+  // Render sends SIGTERM before a restart or deploy; a second signal kills the process outright
+  ['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.once(signal, async () => {
+      console.log(`🛑 ${signal} received`);
+      await instance.stop();
+      process.exit(0);
+    });
   });
 }
 
-startServer().catch(console.error);
-
-module.exports = app;
\ No newline at end of file
+// Breaking in 2.0: this used to export a started Express app (see README, "Upgrading from 1.x")
+module.exports = { createApp };
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp } = require('./helpers/testApp');
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('API key scopes', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp({ env: { ADMIN_API_KEY: ADMIN_KEY } });
+  });
+
+  afterEach(() => app.stop());
+
+  async function createKey(scopes) {
+    const res = await app.request('/admin/api-keys', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': ADMIN_KEY },
+      body: JSON.stringify({ name: `test ${scopes.join(',')}`, scopes })
+    });
+    assert.strictEqual(res.status, 201);
+    return (await res.json()).api_key;
+  }
+
+  it('lets anonymous callers read prices but not ops or admin routes', async () => {
+    await app.fetchPrices();
+
+    assert.strictEqual((await app.request('/api/v3/simple/price?ids=bitcoin&vs_currencies=usd')).status, 200);
+    assert.strictEqual((await app.request('/health/ready')).status, 200);
+    assert.strictEqual((await app.request('/metrics')).status, 401);
+    assert.strictEqual((await app.request('/admin/api-keys')).status, 401);
+  });
+
+  it('grants routes by scope', async () => {
+    const publicKey = await createKey(['public']);
+    const opsKey = await createKey(['ops']);
+    const get = (path, key) => app.request(path, { headers: { Authorization: `Bearer ${key}` } });
+
+    assert.strictEqual((await get('/metrics', publicKey)).status, 403);
+    assert.strictEqual((await get('/metrics', opsKey)).status, 200);
+    assert.strictEqual((await get('/database/stats', opsKey)).status, 200);
+    assert.strictEqual((await get('/admin/api-keys', opsKey)).status, 403);
+    assert.strictEqual((await get('/admin/api-keys', 'pc_not-a-real-key')).status, 401);
+  });
+
+  it('applies the same scope to mixed-case and trailing-slash paths', async () => {
+    for (const path of ['/Admin/api-keys', '/ADMIN/config', '/admin/api-keys/', '/Metrics', '/metrics/',
+      '/Database/stats', '/FETCH/logs', '/Providers']) {
+      const res = await app.request(path);
+      assert.strictEqual(res.status, 401, path);
+    }
+
+    const res = await app.request('/Admin/api-keys', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'anonymous', scopes: ['admin'] })
+    });
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual((await app.request('/Fetch/trigger', { method: 'POST' })).status, 401);
+  });
+
+  it('only accepts ?api_key= on the stream', async () => {
+    const opsKey = await createKey(['ops']);
+
+    assert.strictEqual((await app.request(`/metrics?api_key=${opsKey}`)).status, 401);
+    assert.strictEqual((await app.request(`/admin/api-keys?api_key=${ADMIN_KEY}`)).status, 401);
+
+    const revoked = await app.request('/api/v3/stream?ids=bitcoin&vs_currencies=usd&api_key=pc_not-a-real-key');
+    assert.strictEqual(revoked.status, 401);
+
+    const controller = new AbortController();
+    const stream = await app.request(`/api/v3/stream?ids=bitcoin&vs_currencies=usd&api_key=${opsKey}`, { signal: controller.signal });
+    assert.strictEqual(stream.status, 200);
+    controller.abort();
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { startTestApp, createClock, getPrices, lastApiOutcome } = require('./helpers/testApp');
+const { createFakeProvider } = require('./helpers/fakeProvider');
+
+function run(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function allUpstreamsDown() {
+  const providers = createFakeProvider();
+  ['coingecko', 'alchemy', 'coinmarketcap', 'binance-p2p', 'exchangerate-api']
+    .forEach(upstream => providers.respond(upstream, { error: 'ENOTFOUND' }));
+  return providers;
+}
+
+describe('price cache tiers', () => {
+  let apps = [];
+  let sharedDb = null;
+
+  async function start(options) {
+    const app = await startTestApp(options);
+    apps.push(app);
+    return app;
+  }
+
+  afterEach(async () => {
+    await Promise.all(apps.map(app => app.stop()));
+    apps = [];
+    if (sharedDb) {
+      await new Promise(resolve => sharedDb.close(resolve));
+      sharedDb = null;
+    }
+  });
+
+  it('serves fetched prices from memory', async () => {
+    const app = await start();
+    await app.fetchPrices();
+
+    const { status, body } = await getPrices(app, 'ids=bitcoin,tether&vs_currencies=usd');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, { bitcoin: { usd: 65000 }, tether: { usd: 1 } });
+    assert.strictEqual(await lastApiOutcome(app), 'memory_cache_hit');
+  });
+
+  it('accepts mixed-case, padded and repeated ids', async () => {
+    const app = await start();
+    await app.fetchPrices();
+
+    const { status, body } = await getPrices(app, 'ids=Bitcoin,%20TETHER%20&ids=ethereum&vs_currencies=USD');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, { bitcoin: { usd: 65000 }, tether: { usd: 1 }, ethereum: { usd: 3200 } });
+
+    assert.strictEqual((await getPrices(app, 'ids=,&vs_currencies=usd')).status, 400);
+  });
+
+  it('falls back to the database for prices another instance saved', async () => {
+    sharedDb = new sqlite3.Database(':memory:');
+    const reader = await start({ db: sharedDb, providers: allUpstreamsDown() });
+    const writer = await start({ db: sharedDb });
+    await writer.fetchPrices();
+
+    const { status, body } = await getPrices(reader, 'ids=ethereum&vs_currencies=usd');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.ethereum.usd, 3200);
+    assert.strictEqual(await lastApiOutcome(reader), 'database_hit');
+  });
+
+  it('serves last known good prices flagged degraded when the cache tables are empty', async () => {
+    sharedDb = new sqlite3.Database(':memory:');
+    const clock = createClock();
+    const writer = await start({ db: sharedDb, clock });
+    await writer.fetchPrices();
+    await run(sharedDb, 'DELETE FROM price_cache');
+    await run(sharedDb, 'DELETE FROM fiat_price_cache');
+
+    clock.advance(5 * 60 * 1000);
+    const app = await start({ db: sharedDb, clock, providers: allUpstreamsDown() });
+    const { status, headers, body } = await getPrices(app, 'ids=bitcoin&vs_currencies=usd');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers.get('x-price-degraded'), 'true');
+    assert.strictEqual(headers.get('x-price-data-age'), '300');
+    assert.strictEqual(body.bitcoin.usd, 65000);
+    assert.strictEqual(body.bitcoin.degraded, true);
+    assert.strictEqual(await lastApiOutcome(app), 'last_known_good');
+  });
+
+  it('refuses instead of serving degraded prices when EMERGENCY_PRICE_MODE=refuse', async () => {
+    const app = await start({ env: { EMERGENCY_PRICE_MODE: 'refuse' }, providers: allUpstreamsDown() });
+
+    const { status, body } = await getPrices(app, 'ids=bitcoin&vs_currencies=usd');
+    assert.strictEqual(status, 503);
+    assert.strictEqual(body.degraded, true);
+    assert.strictEqual(await lastApiOutcome(app), 'refused_degraded');
+  });
+
+  it('marks cached prices stale once they pass the staleness ceiling', async () => {
+    const app = await start();
+    await app.fetchPrices();
+    app.clock.advance(2 * 60 * 60 * 1000 + 1000);
+
+    const { status, headers, body } = await getPrices(app, 'ids=bitcoin&vs_currencies=usd');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers.get('x-price-stale'), 'bitcoin');
+    assert.strictEqual(body.bitcoin.stale, true);
+  });
+});
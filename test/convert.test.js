@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp } = require('./helpers/testApp');
+
+describe('amount conversion', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp();
+    await app.fetchPrices();
+  });
+
+  afterEach(() => app.stop());
+
+  async function convert(query) {
+    const res = await app.request(`/api/v3/convert?${query}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('converts token to fiat with exact decimal math, rounding down', async () => {
+    // 1.15 * 100 is 114.99999999999999 in floating point
+    const { body: usd } = await convert('from=tether&to=usd&amount=1.15');
+    assert.strictEqual(usd.result, '1.15');
+
+    // 0.00012345 BTC at 104000050 NGN = 12838.80617...
+    const { status, body } = await convert('from=bitcoin&to=ngn&amount=0.00012345');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.result, '12838.8');
+    assert.strictEqual(body.margin_total, '0');
+    assert.strictEqual(body.rounding, 'down');
+  });
+
+  it('converts fiat to token in the token\'s on-chain decimals', async () => {
+    // 1000 / 1650 = 0.60606060..., truncated to USDT's 6 decimals
+    const { body } = await convert('from=ngn&to=tether&amount=1000');
+    assert.strictEqual(body.result, '0.60606');
+    assert.strictEqual(body.token_decimals, 6);
+    assert.strictEqual(body.rate, 1650);
+    assert.strictEqual(body.mid_rate, 1600);
+  });
+
+  it('keeps large amounts exact', async () => {
+    // 123456789.123456 USDT * 1650 NGN = 203703702053.7024
+    const { body } = await convert('from=tether&to=ngn&amount=123456789.123456');
+    assert.strictEqual(body.result, '203703702053.7');
+    assert.strictEqual(body.margin_total, '6172839456.17');
+  });
+
+  it('rejects malformed amounts and excess precision', async () => {
+    for (const amount of ['0', '1e3', '-5', 'abc', '']) {
+      const { status } = await convert(`from=ngn&to=tether&amount=${amount}`);
+      assert.strictEqual(status, 400, amount);
+    }
+    const { status, body } = await convert('from=ngn&to=tether&amount=10.001');
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /more than 2 decimal places/);
+  });
+
+  it('treats a price too small for the price scale as unavailable', async () => {
+    // A fresh instance, so the price guard has no earlier price to compare against
+    await app.stop();
+    app = await startTestApp();
+    app.providers.respond('coingecko', { body: { ethereum: { usd: 1e-19, ngn: 1.6e-16 } } });
+    await app.fetchPrices();
+
+    const { status, body } = await convert('from=usd&to=ethereum&amount=10');
+    assert.strictEqual(status, 503);
+    assert.match(body.error, /No fresh USD price for ethereum/);
+  });
+});
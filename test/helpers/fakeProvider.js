@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Every upstream endpoint the provider adapters call. Fixtures are recorded response bodies;
+// select() narrows them the way the real API would for the request's query or body.
+const ROUTES = [
+  {
+    upstream: 'coingecko',
+    pattern: /^https:\/\/api\.coingecko\.com\/api\/v3\/simple\/price/,
+    fixture: 'coingecko-simple-price.json',
+    select: (body, url) => {
+      const ids = url.searchParams.get('ids').split(',');
+      const currencies = url.searchParams.get('vs_currencies').split(',');
+      const selected = {};
+
+      ids.filter(id => body[id]).forEach(id => {
+        selected[id] = {};
+        currencies.filter(currency => body[id][currency] !== undefined).forEach(currency => {
+          selected[id][currency] = body[id][currency];
+        });
+      });
+      return selected;
+    }
+  },
+  {
+    upstream: 'coingecko',
+    pattern: /^https:\/\/api\.coingecko\.com\/api\/v3\/ping/,
+    fixture: 'coingecko-ping.json'
+  },
+  {
+    upstream: 'alchemy',
+    pattern: /^https:\/\/api\.g\.alchemy\.com\/prices\/v1\/[^/]+\/tokens\/by-symbol/,
+    fixture: 'alchemy-by-symbol.json',
+    select: (body, url) => {
+      const symbols = url.searchParams.getAll('symbols');
+      return { data: body.data.filter(entry => symbols.includes(entry.symbol)) };
+    }
+  },
+  {
+    upstream: 'alchemy',
+    pattern: /^https:\/\/api\.g\.alchemy\.com\/prices\/v1\/[^/]+\/tokens\/by-address/,
+    fixture: 'alchemy-by-address.json',
+    select: (body, url) => {
+      const addresses = url.searchParams.getAll('addresses');
+      return { data: body.data.filter(entry => addresses.includes(entry.address)) };
+    }
+  },
+  {
+    upstream: 'coinmarketcap',
+    pattern: /^https:\/\/pro-api\.coinmarketcap\.com\/v1\/cryptocurrency\/quotes\/latest/,
+    fixture: 'coinmarketcap-quotes-latest.json',
+    select: (body, url) => {
+      const ids = url.searchParams.get('id').split(',');
+      const data = {};
+      ids.filter(id => body.data[id]).forEach(id => {
+        data[id] = body.data[id];
+      });
+      return { ...body, data };
+    }
+  },
+  {
+    upstream: 'coinmarketcap',
+    pattern: /^https:\/\/pro-api\.coinmarketcap\.com\/v1\/tools\/price-conversion/,
+    fixture: 'coinmarketcap-price-conversion.json',
+    select: (body, url) => body[url.searchParams.get('convert')] || {
+      status: { error_code: 400, error_message: `Invalid value for "convert": "${url.searchParams.get('convert')}"` }
+    }
+  },
+  {
+    upstream: 'binance-p2p',
+    pattern: /^https:\/\/p2p\.binance\.com\/bapi\/c2c\/v2\/friendly\/c2c\/adv\/search/,
+    fixture: 'binance-p2p-adv-search.json',
+    select: (body, url, requestBody) => body[requestBody.fiat] || { code: '000000', message: null, data: [], total: 0, success: true }
+  },
+  {
+    upstream: 'exchangerate-api',
+    pattern: /^https:\/\/api\.exchangerate-api\.com\/v4\/latest\/USD/,
+    fixture: 'exchangerate-api-latest-usd.json'
+  }
+];
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+// Shape errors the way axios does so the adapters' classification sees what production sees
+function httpError(status, headers, data) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.code = status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST';
+  error.response = { status, headers: headers || {}, data };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code === 'ECONNABORTED' ? 'timeout of 10000ms exceeded' : `getaddrinfo ${code}`);
+  error.code = code;
+  return error;
+}
+
+// Axios-compatible stand-in for every upstream (pass it to createApp as `providers`).
+// Upstreams replay their fixtures until told otherwise:
+//   fake.respond('coingecko', { status: 429, headers: { 'retry-after': '60' } })
+//   fake.respond('alchemy', { body: '<html>Bad gateway</html>' })   // malformed, status 200
+//   fake.respond('exchangerate-api', { error: 'ECONNABORTED' })       // timeout
+//   fake.respond('coingecko', { delayMs: 200 })                       // fixture, answered late
+//   fake.reset()                                                     // back to fixtures
+// Unknown URLs fail like an unreachable host, so a test can never reach the network.
+function createFakeProvider() {
+  const overrides = new Map();
+  const calls = [];
+
+  async function request(method, rawUrl, requestBody, config = {}) {
+    const url = new URL(rawUrl);
+    Object.entries(config.params || {}).forEach(([name, value]) => url.searchParams.set(name, value));
+
+    const route = ROUTES.find(candidate => candidate.pattern.test(url.toString()));
+    calls.push({ upstream: route ? route.upstream : null, method, url: url.toString(), body: requestBody });
+
+    if (!route) {
+      throw networkError('ENOTFOUND');
+    }
+
+    const override = overrides.get(route.upstream);
+    if (override?.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, override.delayMs));
+    }
+    if (override?.error) {
+      throw networkError(override.error);
+    }
+    if (override?.status && (override.status < 200 || override.status >= 300)) {
+      throw httpError(override.status, override.headers, override.body);
+    }
+
+    const data = override && 'body' in override
+      ? override.body
+      : (route.select ? route.select(loadFixture(route.fixture), url, requestBody) : loadFixture(route.fixture));
+
+    return { status: override?.status || 200, headers: override?.headers || {}, data };
+  }
+
+  return {
+    calls,
+    get: (url, config) => request('GET', url, undefined, config),
+    post: (url, body, config) => request('POST', url, body, config),
+    respond(upstream, response) {
+      overrides.set(upstream, response);
+    },
+    reset(upstream) {
+      if (upstream) overrides.delete(upstream);
+      else overrides.clear();
+    },
+    callsTo(upstream) {
+      return calls.filter(call => call.upstream === upstream);
+    }
+  };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,75 @@
+const { createApp } = require('../../server');
+const { createFakeProvider } = require('./fakeProvider');
+
+// Server logs drown the test report; TEST_VERBOSE=1 keeps them
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+// Clock that only moves when the test says so
+function createClock(start = Date.parse('2026-10-19T12:00:00Z')) {
+  let now = start;
+  return {
+    now: () => now,
+    advance(ms) {
+      now += ms;
+    }
+  };
+}
+
+// Start an app on a random port with an in-memory database, fixture upstreams and no background
+// scheduler. env is applied while the app is built (createApp reads API keys and modes from it).
+async function startTestApp(options = {}) {
+  const providers = options.providers || createFakeProvider();
+  const clock = options.clock || createClock();
+  const env = options.env || {};
+  const previousEnv = {};
+
+  Object.entries(env).forEach(([name, value]) => {
+    previousEnv[name] = process.env[name];
+    process.env[name] = value;
+  });
+
+  try {
+    const instance = createApp({
+      db: options.db || ':memory:',
+      providers,
+      clock,
+      config: { min_request_interval_ms: 0, ...options.config }
+    });
+    const server = await instance.start({ port: 0, backgroundFetch: false });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+      ...instance,
+      providers,
+      clock,
+      request: (path, init) => fetch(`${baseUrl}${path}`, init)
+    };
+  } finally {
+    Object.entries(previousEnv).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+}
+
+// GET /api/v3/simple/price and parse the body
+async function getPrices(app, query) {
+  const res = await app.request(`/api/v3/simple/price?${query}`);
+  return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+// Route-level outcome of the most recent API call (memory_cache_hit, database_hit, ...)
+function lastApiOutcome(app) {
+  return new Promise((resolve, reject) => {
+    app.db.get('SELECT status FROM api_metrics ORDER BY id DESC LIMIT 1', (err, row) => {
+      if (err) reject(err);
+      else resolve(row && row.status);
+    });
+  });
+}
+
+module.exports = { createClock, startTestApp, getPrices, lastApiOutcome };
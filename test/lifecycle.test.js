@@ -0,0 +1,68 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { startTestApp } = require('./helpers/testApp');
+
+function count(db, table) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT COUNT(*) as count FROM ${table}`, (err, row) => (err ? reject(err) : resolve(row.count)));
+  });
+}
+
+describe('lifecycle', () => {
+  let app = null;
+  let sharedDb = null;
+
+  afterEach(async () => {
+    if (app) await app.stop();
+    if (sharedDb) await new Promise(resolve => sharedDb.close(resolve));
+    app = null;
+    sharedDb = null;
+  });
+
+  it('answers liveness and readiness without an API key', async () => {
+    app = await startTestApp({ env: { REQUIRE_API_KEY: 'true' } });
+
+    const live = await app.request('/health/live');
+    assert.strictEqual(live.status, 200);
+    assert.strictEqual((await live.json()).status, 'alive');
+
+    const ready = await app.request('/health/ready');
+    assert.strictEqual(ready.status, 200);
+    assert.deepStrictEqual((await ready.json()).checks, { started: true, shutting_down: false, database: true, storage: true });
+  });
+
+  it('waits for an in-flight fetch and its writes before closing', async () => {
+    sharedDb = new sqlite3.Database(':memory:');
+    app = await startTestApp({ db: sharedDb });
+    app.providers.respond('coingecko', { delayMs: 200 });
+
+    const fetching = app.fetchPrices();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await app.stop();
+
+    assert.strictEqual(await count(sharedDb, 'price_cache'), 12);
+    assert.strictEqual(await count(sharedDb, 'fetch_logs'), 1);
+    await fetching;
+  });
+
+  it('gives up on a fetch that outlives the shutdown deadline', async () => {
+    app = await startTestApp();
+    app.providers.respond('coingecko', { delayMs: 500 });
+
+    app.fetchPrices();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const startedAt = Date.now();
+    await app.stop({ timeoutMs: 100 });
+    assert.ok(Date.now() - startedAt < 400);
+    app.providers.reset(); // let the abandoned fetch finish quickly
+  });
+
+  it('stops scheduling fetches once shut down', async () => {
+    app = await startTestApp();
+    await app.stop();
+
+    await app.fetchPrices();
+    assert.strictEqual(app.providers.calls.length, 0);
+  });
+});
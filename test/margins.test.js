@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, getPrices } = require('./helpers/testApp');
+
+const ADMIN_KEY = 'test-admin-key';
+const QUOTES = 'vs_currencies=usd,ngn&include_buy_sell=true&include_mid=true';
+
+describe('margin engine', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp({ env: { ADMIN_API_KEY: ADMIN_KEY } });
+  });
+
+  afterEach(() => app.stop());
+
+  async function putRule(rule) {
+    const res = await app.request('/admin/margin-rules', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': ADMIN_KEY },
+      body: JSON.stringify(rule)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('adds the default flat NGN margin to buy quotes and subtracts it from sell quotes', async () => {
+    await app.fetchPrices();
+
+    const { body } = await getPrices(app, `ids=bitcoin&${QUOTES}`);
+    assert.deepStrictEqual(body.bitcoin, {
+      usd: 65000,
+      usd_buy: 65000,
+      usd_sell: 65000,
+      usd_mid: 65000,
+      ngn: 104000050,
+      ngn_buy: 104000050,
+      ngn_sell: 103999950,
+      ngn_mid: 104000000
+    });
+  });
+
+  it('prefers the most specific rule and side, falling back to the default side', async () => {
+    assert.strictEqual((await putRule({ token_id: 'tether', currency: 'ngn', type: 'percentage', value: 1 })).status, 200);
+    assert.strictEqual((await putRule({ token_id: 'tether', currency: 'ngn', side: 'buy', type: 'flat', value: 30 })).status, 200);
+    await app.fetchPrices();
+
+    const { body } = await getPrices(app, `ids=tether,bitcoin&${QUOTES}`);
+    assert.strictEqual(body.tether.ngn_mid, 1600);
+    assert.strictEqual(body.tether.ngn, 1616);
+    assert.strictEqual(body.tether.ngn_buy, 1630);
+    assert.strictEqual(body.tether.ngn_sell, 1584);
+    // Other tokens keep the wildcard rule
+    assert.strictEqual(body.bitcoin.ngn, 104000050);
+  });
+
+  it('picks the tier for the price band and caps it at max_margin', async () => {
+    await putRule({
+      token_id: '*',
+      currency: 'usd',
+      type: 'tiered',
+      tiers: [{ up_to: 10, type: 'flat', value: 0.01 }, { up_to: null, type: 'percentage', value: 0.5 }],
+      max_margin: 100
+    });
+    await app.fetchPrices();
+
+    const { body } = await getPrices(app, 'ids=tether,ethereum,bitcoin&vs_currencies=usd');
+    assert.strictEqual(body.tether.usd, 1.01);
+    assert.strictEqual(body.ethereum.usd, 3216);
+    assert.strictEqual(body.bitcoin.usd, 65100);
+  });
+
+  it('rejects invalid rules', async () => {
+    const { status, body } = await putRule({ token_id: 'tether', currency: 'ngn', type: 'markup', value: 1 });
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /type must be one of/);
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { startTestApp } = require('./helpers/testApp');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// The schema a deployment from before fiat quote sides and API keys still has on disk
+async function createLegacyDatabase() {
+  const db = new sqlite3.Database(':memory:');
+  await run(db, `CREATE TABLE price_cache (
+    token_id TEXT PRIMARY KEY, usd_price REAL, ngn_price REAL, original_ngn REAL,
+    last_updated INTEGER, source TEXT DEFAULT 'coingecko'
+  )`);
+  await run(db, `CREATE TABLE api_metrics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, endpoint TEXT, status TEXT, timestamp INTEGER,
+    response_time INTEGER, tokens_requested TEXT
+  )`);
+  await run(db, `CREATE TABLE fetch_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp INTEGER, status TEXT, tokens_count INTEGER,
+    error_message TEXT, response_time INTEGER
+  )`);
+  await run(db, `CREATE TABLE fiat_price_cache (
+    token_id TEXT, currency TEXT, price REAL, last_updated INTEGER, PRIMARY KEY (token_id, currency)
+  )`);
+  await run(db, `CREATE TABLE margin_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, token_id TEXT NOT NULL DEFAULT '*',
+    currency TEXT NOT NULL DEFAULT '*', type TEXT NOT NULL, value REAL DEFAULT 0, tiers TEXT,
+    min_margin REAL, max_margin REAL, enabled INTEGER DEFAULT 1, updated_at INTEGER,
+    UNIQUE (token_id, currency)
+  )`);
+  await run(db, `INSERT INTO price_cache VALUES ('bitcoin', 64000, 104000000, 103900000, 1, 'coingecko')`);
+  await run(db, `INSERT INTO fiat_price_cache VALUES ('bitcoin', 'eur', 59000, 1)`);
+  await run(db, `INSERT INTO margin_rules (token_id, currency, type, value, updated_at) VALUES ('tether', 'ngn', 'percent', 1.5, 1)`);
+  return db;
+}
+
+describe('schema migrations', () => {
+  let apps = [];
+  let sharedDb = null;
+  let tempDir = null;
+
+  async function start(options) {
+    const app = await startTestApp(options);
+    apps.push(app);
+    return app;
+  }
+
+  afterEach(async () => {
+    await Promise.all(apps.map(app => app.stop()));
+    apps = [];
+    if (sharedDb) {
+      await new Promise(resolve => sharedDb.close(resolve));
+      sharedDb = null;
+    }
+    if (tempDir) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      tempDir = null;
+    }
+  });
+
+  it('builds a fresh database in WAL mode and records every migration', async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paycrypt-'));
+    const app = await start({ db: path.join(tempDir, 'price_cache.db') });
+
+    const [{ journal_mode: journalMode }] = await all(app.db, 'PRAGMA journal_mode');
+    assert.strictEqual(journalMode, 'wal');
+
+    const versions = (await all(app.db, 'SELECT version FROM schema_migrations ORDER BY version')).map(row => row.version);
+    assert.deepStrictEqual(versions, versions.map((_, index) => index + 1));
+    assert.ok(versions.length >= 12);
+  });
+
+  it('migrates a legacy database in place and keeps its rows', async () => {
+    sharedDb = await createLegacyDatabase();
+    await start({ db: sharedDb });
+
+    const [price] = await all(sharedDb, `SELECT usd_price FROM price_cache WHERE token_id = 'bitcoin'`);
+    assert.strictEqual(price.usd_price, 64000);
+
+    const [fiat] = await all(sharedDb, `SELECT price, mid_price FROM fiat_price_cache WHERE token_id = 'bitcoin'`);
+    assert.deepStrictEqual({ ...fiat }, { price: 59000, mid_price: null });
+
+    // The existing rule survives the rebuild (and stops the default rule from being seeded)
+    const rules = await all(sharedDb, 'SELECT token_id, currency, type, value, side FROM margin_rules');
+    assert.deepStrictEqual(rules.map(rule => ({ ...rule })), [
+      { token_id: 'tether', currency: 'ngn', type: 'percent', value: 1.5, side: 'default' }
+    ]);
+    await run(sharedDb, `INSERT INTO margin_rules (token_id, currency, type, value, side) VALUES ('tether', 'ngn', 'flat', 20, 'buy')`);
+
+    const columns = (await all(sharedDb, 'PRAGMA table_info(api_metrics)')).map(column => column.name);
+    assert.ok(columns.includes('api_key_id'));
+  });
+
+  it('applies nothing twice when the same database boots again', async () => {
+    sharedDb = new sqlite3.Database(':memory:');
+    const first = await start({ db: sharedDb });
+    await first.stop();
+    const applied = await all(sharedDb, 'SELECT version, applied_at FROM schema_migrations');
+
+    await start({ db: sharedDb });
+    assert.deepStrictEqual(await all(sharedDb, 'SELECT version, applied_at FROM schema_migrations'), applied);
+  });
+
+  it('seeds the default margin rule once, not again after every rule is deleted', async () => {
+    sharedDb = new sqlite3.Database(':memory:');
+    const first = await start({ db: sharedDb });
+    assert.strictEqual((await all(sharedDb, 'SELECT * FROM margin_rules')).length, 1);
+    await run(sharedDb, 'DELETE FROM margin_rules');
+    await first.stop();
+
+    await start({ db: sharedDb });
+    assert.deepStrictEqual(await all(sharedDb, 'SELECT * FROM margin_rules'), []);
+  });
+
+  it('rolls back every row of a fetch when one write fails', async () => {
+    sharedDb = new sqlite3.Database(':memory:');
+    const app = await start({ db: sharedDb });
+    await run(sharedDb, `CREATE TRIGGER reject_history BEFORE INSERT ON price_history
+      WHEN NEW.token_id = 'tether' BEGIN SELECT RAISE(ABORT, 'disk full'); END`);
+
+    await app.fetchPrices();
+
+    for (const table of ['price_cache', 'fiat_price_cache', 'price_history']) {
+      const [{ count }] = await all(sharedDb, `SELECT COUNT(*) as count FROM ${table}`);
+      assert.strictEqual(count, 0, `${table} should be empty`);
+    }
+
+    // The providers answered, so a failed write is not counted as an outage
+    const health = await (await app.request('/health')).json();
+    assert.strictEqual(health.consecutive_failures, 0);
+    const [log] = await all(sharedDb, 'SELECT status FROM fetch_logs ORDER BY id DESC LIMIT 1');
+    assert.strictEqual(log.status, 'storage_error');
+  });
+
+  it('keeps writes made while a transaction is open out of that transaction', async () => {
+    sharedDb = new sqlite3.Database(':memory:');
+    const app = await start({ db: sharedDb });
+    await run(sharedDb, `CREATE TRIGGER reject_history BEFORE INSERT ON price_history
+      WHEN NEW.token_id = 'tether' BEGIN SELECT RAISE(ABORT, 'disk full'); END`);
+
+    // Once the fetch's transaction has begun, hold its first insert until an API request has been answered (and logged)
+    const dbRun = sharedDb.run;
+    let request = null;
+    let held = false;
+    sharedDb.run = function (sql, ...args) {
+      if (sql === 'BEGIN IMMEDIATE' && !request) {
+        request = app.request('/api/v3/simple/price?ids=bitcoin&vs_currencies=usd');
+      } else if (request && !held && sql.startsWith('INSERT OR REPLACE INTO price_cache')) {
+        held = true;
+        request.then(() => new Promise(resolve => setImmediate(resolve))).then(() => dbRun.call(sharedDb, sql, ...args));
+        return sharedDb;
+      }
+      return dbRun.call(sharedDb, sql, ...args);
+    };
+
+    await app.fetchPrices();
+    await app.stop();
+
+    const [{ count }] = await all(sharedDb, `SELECT COUNT(*) as count FROM api_metrics WHERE endpoint = '/api/v3/simple/price'`);
+    assert.strictEqual(count, 1);
+  });
+
+  it('still serves an on-demand price it failed to save', async () => {
+    sharedDb = new sqlite3.Database(':memory:');
+    const app = await start({ db: sharedDb });
+    await run(sharedDb, `CREATE TRIGGER reject_history BEFORE INSERT ON price_history
+      WHEN NEW.token_id = 'dogecoin' BEGIN SELECT RAISE(ABORT, 'disk full'); END`);
+
+    const res = await app.request('/api/v3/simple/price?ids=dogecoin&vs_currencies=usd');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), { dogecoin: { usd: 0.12 } });
+
+    const [log] = await all(sharedDb, 'SELECT status FROM fetch_logs ORDER BY id DESC LIMIT 1');
+    assert.strictEqual(log.status, 'storage_error');
+  });
+});
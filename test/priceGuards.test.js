@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, getPrices } = require('./helpers/testApp');
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('price guards', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp({ env: { ADMIN_API_KEY: ADMIN_KEY } });
+    await app.fetchPrices();
+  });
+
+  afterEach(() => app.stop());
+
+  function admin(path, init = {}) {
+    return app.request(path, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': ADMIN_KEY }
+    });
+  }
+
+  // CoinGecko answers with these prices instead of its fixture
+  async function fetchWith(prices) {
+    app.providers.respond('coingecko', { body: prices });
+    await app.fetchPrices();
+    app.providers.reset('coingecko');
+  }
+
+  it('freezes a token that moves past max_change_percent and keeps its last good price', async () => {
+    await fetchWith({ bitcoin: { usd: 97500, ngn: 156000000 }, ethereum: { usd: 3300, ngn: 5280000 } });
+
+    const { body } = await getPrices(app, 'ids=bitcoin,ethereum&vs_currencies=usd');
+    assert.deepStrictEqual(body.bitcoin, { usd: 65000, is_frozen: true });
+    assert.deepStrictEqual(body.ethereum, { usd: 3300 });
+
+    const quote = await admin('/quotes', {
+      method: 'POST',
+      body: JSON.stringify({ token_id: 'bitcoin', currency: 'ngn', amount: 0.01 })
+    });
+    assert.strictEqual(quote.status, 409);
+
+    const { alerts } = await (await admin('/admin/price-alerts')).json();
+    assert.strictEqual(alerts[0].token_id, 'bitcoin');
+    assert.strictEqual(alerts[0].alert_type, 'max_change');
+    assert.strictEqual(alerts[0].observed_price, 97500);
+  });
+
+  it('accepts the move on the next fetch once an admin releases the token', async () => {
+    await fetchWith({ bitcoin: { usd: 97500, ngn: 156000000 } });
+
+    const release = await admin('/admin/frozen-tokens/bitcoin/release', { method: 'POST', body: JSON.stringify({ released_by: 'ops' }) });
+    assert.strictEqual(release.status, 200);
+    await fetchWith({ bitcoin: { usd: 97500, ngn: 156000000 } });
+
+    const { body } = await getPrices(app, 'ids=bitcoin&vs_currencies=usd');
+    assert.deepStrictEqual(body.bitcoin, { usd: 97500 });
+  });
+
+  it('freezes a stablecoin that breaks its peg', async () => {
+    await fetchWith({ tether: { usd: 0.96, ngn: 1536 } });
+
+    const { body } = await getPrices(app, 'ids=tether&vs_currencies=usd');
+    assert.deepStrictEqual(body.tether, { usd: 1, is_frozen: true });
+
+    const { frozen_tokens: frozen } = await (await admin('/admin/frozen-tokens')).json();
+    assert.deepStrictEqual(frozen.map(entry => [entry.token_id, entry.reason]), [['tether', 'peg_break']]);
+  });
+
+  it('rejects guards for malformed token ids', async () => {
+    for (const tokenId of ['Bitcoin', 'bit coin', '../tether', 42]) {
+      const res = await admin('/admin/price-guards', { method: 'PUT', body: JSON.stringify({ token_id: tokenId, max_change_percent: 10 }) });
+      assert.strictEqual(res.status, 400, String(tokenId));
+    }
+    const wildcard = await admin('/admin/price-guards', { method: 'PUT', body: JSON.stringify({ token_id: '*', max_change_percent: 10 }) });
+    assert.strictEqual(wildcard.status, 200);
+  });
+});
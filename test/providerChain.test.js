@@ -0,0 +1,190 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, getPrices } = require('./helpers/testApp');
+
+// Alchemy and CoinMarketCap only join the chain when their keys are set
+const PROVIDER_KEYS = { ALCHEMY_API_KEY: 'test-alchemy-key', COINMARKETCAP_API_KEY: 'test-cmc-key' };
+const NGN_MARGIN = 50; // default flat margin rule
+
+describe('price provider chain', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp({ env: PROVIDER_KEYS });
+  });
+
+  afterEach(() => app.stop());
+
+  it('serves CoinGecko prices with its own NGN quote', async () => {
+    await app.fetchPrices();
+
+    const { status, body } = await getPrices(app, 'ids=bitcoin&vs_currencies=usd,ngn&include_last_updated_at=true');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.bitcoin.usd, 65000);
+    assert.strictEqual(body.bitcoin.ngn, 104000000 + NGN_MARGIN);
+    assert.strictEqual(body.bitcoin.source, 'coingecko');
+    assert.strictEqual(app.providers.callsTo('alchemy').length, 0);
+  });
+
+  it('fails over to Alchemy on a CoinGecko 429 and converts NGN through the FX chain', async () => {
+    app.providers.respond('coingecko', { status: 429, headers: { 'retry-after': '120' } });
+    await app.fetchPrices();
+
+    const { body } = await getPrices(app, 'ids=bitcoin,send-token-2&vs_currencies=usd,ngn&include_last_updated_at=true');
+    assert.strictEqual(body.bitcoin.source, 'alchemy');
+    assert.strictEqual(body.bitcoin.usd, 65100);
+    assert.strictEqual(body.bitcoin.ngn, 65100 * 1598.5 + NGN_MARGIN); // CoinMarketCap USD/NGN
+    // SEND is missing from the symbol lookup and found by contract address
+    assert.strictEqual(body['send-token-2'].usd, 0.0124);
+  });
+
+  it('records the provider, FX source and raw upstream values behind each price', async () => {
+    app.providers.respond('coingecko', { status: 429, headers: { 'retry-after': '120' } });
+    await app.fetchPrices();
+
+    const { body } = await getPrices(app, 'ids=bitcoin&vs_currencies=ngn&include_provenance=true');
+    assert.deepStrictEqual(body.bitcoin.provenance, {
+      source: 'alchemy',
+      fx_source: 'coinmarketcap',
+      fx_rate: 1598.5,
+      raw: { alchemy: { usd: 65100 } }
+    });
+
+    const row = await new Promise((resolve, reject) => {
+      app.db.get(`SELECT source, fx_source, fx_rate, raw_values FROM price_cache WHERE token_id = 'bitcoin'`,
+        (err, result) => (err ? reject(err) : resolve(result)));
+    });
+    assert.deepStrictEqual({ ...row }, {
+      source: 'alchemy',
+      fx_source: 'coinmarketcap',
+      fx_rate: 1598.5,
+      raw_values: JSON.stringify({ alchemy: { usd: 65100 } })
+    });
+  });
+
+  it('keeps a rate-limited provider out of the chain while it backs off', async () => {
+    app.providers.respond('coingecko', { status: 429, headers: { 'retry-after': '120' } });
+    await app.fetchPrices();
+    const coingeckoCalls = app.providers.callsTo('coingecko').length;
+
+    app.providers.reset('coingecko');
+    await app.fetchPrices();
+    assert.strictEqual(app.providers.callsTo('coingecko').length, coingeckoCalls);
+
+    app.clock.advance(121 * 1000);
+    await app.fetchPrices();
+    const { body } = await getPrices(app, 'ids=bitcoin&vs_currencies=usd&include_last_updated_at=true');
+    assert.strictEqual(body.bitcoin.source, 'coingecko');
+  });
+
+  it('treats malformed bodies as failures and moves down the chain', async () => {
+    app.providers.respond('coingecko', { body: '<html>Service Unavailable</html>' });
+    app.providers.respond('alchemy', { body: '<html>Bad Gateway</html>' });
+    await app.fetchPrices();
+
+    const { body } = await getPrices(app, 'ids=bitcoin,ethereum&vs_currencies=usd&include_last_updated_at=true');
+    assert.strictEqual(body.bitcoin.source, 'coinmarketcap');
+    assert.strictEqual(body.bitcoin.usd, 64900);
+    assert.strictEqual(body.ethereum.usd, 3195);
+  });
+
+  it('walks the FX chain to Binance P2P when CoinMarketCap and CoinGecko fail', async () => {
+    app.providers.respond('coingecko', { status: 429 });
+    app.providers.respond('coinmarketcap', { status: 500, body: { status: { error_message: 'Internal error' } } });
+    await app.fetchPrices();
+
+    const { body } = await getPrices(app, 'ids=bitcoin&vs_currencies=ngn');
+    // Average of the first five adverts: 1605, 1606, 1604, 1607, 1603
+    assert.strictEqual(body.bitcoin.ngn, 65100 * 1605 + NGN_MARGIN);
+  });
+
+  it('fetches ids outside the registry on demand through the same circuit breakers', async () => {
+    await app.fetchPrices();
+    app.providers.respond('coingecko', { status: 429, headers: { 'retry-after': '120' } });
+
+    const { body } = await getPrices(app, 'ids=bitcoin,dogecoin&vs_currencies=usd');
+    assert.strictEqual(body.dogecoin, undefined);
+    const coingeckoCalls = app.providers.callsTo('coingecko').length;
+
+    // The 429 opened CoinGecko's circuit, so the next request doesn't hit it again
+    app.providers.reset('coingecko');
+    await getPrices(app, 'ids=dogecoin&vs_currencies=usd');
+    assert.strictEqual(app.providers.callsTo('coingecko').length, coingeckoCalls);
+
+    app.clock.advance(121 * 1000);
+    const { status, body: priced } = await getPrices(app, 'ids=dogecoin&vs_currencies=usd&include_last_updated_at=true');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(priced.dogecoin.usd, 0.12);
+    assert.strictEqual(priced.dogecoin.source, 'coingecko');
+  });
+
+  it('limits how many unknown ids one client can look up per minute', async () => {
+    await app.fetchPrices();
+    const before = app.providers.callsTo('coingecko').length;
+    const randomIds = Array.from({ length: 11 }, (_, index) => `no-such-token-${index}`);
+
+    const { body } = await getPrices(app, `ids=${[...randomIds, 'dogecoin'].join(',')}&vs_currencies=usd`);
+    assert.strictEqual(body.dogecoin, undefined);
+    const [lookup] = app.providers.callsTo('coingecko').slice(before);
+    assert.strictEqual(new URL(lookup.url).searchParams.get('ids').split(',').length, 10);
+
+    app.clock.advance(60 * 1000);
+    const { body: priced } = await getPrices(app, 'ids=dogecoin&vs_currencies=usd');
+    assert.strictEqual(priced.dogecoin.usd, 0.12);
+  });
+
+  it('answers 503 when every provider is down and nothing was ever cached', async () => {
+    ['coingecko', 'alchemy', 'coinmarketcap'].forEach(upstream => app.providers.respond(upstream, { error: 'ECONNABORTED' }));
+    await app.fetchPrices();
+
+    const { status, body } = await getPrices(app, 'ids=bitcoin&vs_currencies=usd');
+    assert.strictEqual(status, 503);
+    assert.match(body.error, /temporarily unavailable/);
+  });
+});
+
+describe('price aggregation', () => {
+  let app;
+
+  afterEach(() => app.stop());
+
+  it('takes the median of every answering provider', async () => {
+    app = await startTestApp({ env: { ...PROVIDER_KEYS, PRICE_AGGREGATION_MODE: 'median' } });
+    await app.fetchPrices();
+
+    const { headers, body } = await getPrices(app, 'ids=bitcoin&vs_currencies=usd&include_last_updated_at=true');
+    assert.strictEqual(body.bitcoin.usd, 65000);
+    assert.strictEqual(body.bitcoin.source, 'median:coingecko+alchemy+coinmarketcap');
+    assert.strictEqual(body.bitcoin.degraded, undefined);
+    assert.strictEqual(headers.get('x-price-degraded'), null);
+  });
+
+  it('falls back to the first provider in chain order, flagged degraded, when two providers disagree', async () => {
+    // Only CoinGecko (65000) and Alchemy (65100) answer, 0.15% apart
+    app = await startTestApp({
+      env: { ALCHEMY_API_KEY: PROVIDER_KEYS.ALCHEMY_API_KEY, PRICE_AGGREGATION_MODE: 'median', PRICE_OUTLIER_THRESHOLD_PERCENT: '0.05' }
+    });
+    await app.fetchPrices();
+
+    const { status, headers, body } = await getPrices(app, 'ids=bitcoin&vs_currencies=usd&include_provenance=true');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.bitcoin.usd, 65000);
+    assert.strictEqual(body.bitcoin.degraded, true);
+    assert.deepStrictEqual(body.bitcoin.provenance.raw, { coingecko: { usd: 65000, ngn: 104000000 }, alchemy: { usd: 65100 } });
+    assert.strictEqual(headers.get('x-price-degraded'), 'true');
+  });
+
+  it('falls back the same way for FX rates, naming the provider as the source', async () => {
+    // CoinGecko (1600) and ExchangeRate-API (1590) answer the FX chain, 0.6% apart
+    app = await startTestApp({ env: { PRICE_AGGREGATION_MODE: 'median', FX_OUTLIER_THRESHOLD_PERCENT: '0.1' } });
+    app.providers.respond('binance-p2p', { error: 'ECONNABORTED' });
+    await app.fetchPrices();
+
+    const { status, headers, body } = await getPrices(app, 'ids=bitcoin&vs_currencies=ngn&include_mid=true&include_provenance=true');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.bitcoin.ngn_mid, 104000000);
+    assert.strictEqual(body.bitcoin.degraded, true);
+    assert.strictEqual(body.bitcoin.provenance.fx_source, 'coingecko');
+    assert.strictEqual(headers.get('x-price-degraded'), 'true');
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { startTestApp } = require('./helpers/testApp');
+
+const ADMIN_KEY = 'test-admin-key';
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+describe('signed quotes', () => {
+  let app;
+  let db;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    app = await startTestApp({ db, env: { ADMIN_API_KEY: ADMIN_KEY } });
+    await app.fetchPrices();
+  });
+
+  afterEach(async () => {
+    await app.stop();
+    await new Promise(resolve => db.close(resolve));
+  });
+
+  async function createQuote(body) {
+    const res = await app.request('/quotes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': ADMIN_KEY },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  function consume(quoteId) {
+    return app.request(`/quotes/${quoteId}/consume`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': ADMIN_KEY },
+      body: JSON.stringify({ reference: 'order-1' })
+    });
+  }
+
+  it('totals a quote with the same decimal arithmetic as /convert', async () => {
+    const { status, body: quote } = await createQuote({ token_id: 'bitcoin', currency: 'ngn', side: 'buy', amount: '0.00012345' });
+    assert.strictEqual(status, 201);
+
+    const conversion = await (await app.request('/api/v3/convert?from=bitcoin&to=ngn&amount=0.00012345&side=buy')).json();
+    assert.strictEqual(quote.total, Number(conversion.result));
+    assert.strictEqual(quote.margin, Number(conversion.margin_total));
+    assert.strictEqual(quote.unit_price, conversion.rate);
+  });
+
+  it('verifies the signature and redeems a quote exactly once', async () => {
+    const { body: quote } = await createQuote({ token_id: 'tether', currency: 'ngn', side: 'sell', amount: 250 });
+
+    const fetched = await (await app.request(`/quotes/${quote.quote_id}`)).json();
+    assert.strictEqual(fetched.signature_valid, true);
+    assert.strictEqual(fetched.redeemable, true);
+
+    assert.strictEqual((await consume(quote.quote_id)).status, 200);
+    const again = await consume(quote.quote_id);
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual((await again.json()).status, 'consumed');
+  });
+
+  it('refuses a quote whose stored price was tampered with', async () => {
+    const { body: quote } = await createQuote({ token_id: 'tether', currency: 'ngn', side: 'buy', amount: 100 });
+    await run(db, 'UPDATE quotes SET total = total / 2 WHERE id = ?', [quote.quote_id]);
+
+    const fetched = await (await app.request(`/quotes/${quote.quote_id}`)).json();
+    assert.strictEqual(fetched.signature_valid, false);
+    assert.strictEqual((await consume(quote.quote_id)).status, 409);
+  });
+
+  it('requires a checkout key to create a quote', async () => {
+    const res = await app.request('/quotes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token_id: 'tether', currency: 'ngn', side: 'buy', amount: 100 })
+    });
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual((await res.json()).required_scope, 'checkout');
+  });
+
+  it('rejects amounts with more decimals than the token has', async () => {
+    for (const amount of ['1.0000001', 1e-7]) {
+      const { status, body } = await createQuote({ token_id: 'tether', currency: 'ngn', side: 'buy', amount });
+      assert.strictEqual(status, 400, String(amount));
+      assert.match(body.error, /more than 6 decimal places/);
+    }
+    assert.strictEqual((await createQuote({ token_id: 'tether', currency: 'ngn', side: 'buy', amount: '1.000001' })).status, 201);
+  });
+
+  it('expires quotes after their TTL', async () => {
+    const { body: quote } = await createQuote({ token_id: 'tether', currency: 'ngn', side: 'buy', amount: 100 });
+    app.clock.advance(Date.parse(quote.expires_at) - app.clock.now());
+
+    assert.strictEqual((await consume(quote.quote_id)).status, 410);
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp } = require('./helpers/testApp');
+
+const ADMIN_KEY = 'test-admin-key';
+const HOOK_URL = 'https://hooks.example.com/paycrypt';
+
+describe('webhooks', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp({ env: { ADMIN_API_KEY: ADMIN_KEY } });
+  });
+
+  afterEach(() => app.stop());
+
+  function adminPost(path, body) {
+    return app.request(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': ADMIN_KEY },
+      body: JSON.stringify(body)
+    });
+  }
+
+  it('delivers events through the injected HTTP client', async () => {
+    const created = await adminPost('/admin/webhooks', { url: HOOK_URL, events: ['providers.all_failed'] });
+    assert.strictEqual(created.status, 201);
+    const { id } = await created.json();
+
+    const res = await adminPost(`/admin/webhooks/${id}/test`, {});
+    const { event_id: eventId } = await res.json();
+
+    const deliveries = app.providers.calls.filter(call => call.url === HOOK_URL);
+    assert.strictEqual(deliveries.length, 1);
+    assert.strictEqual(deliveries[0].method, 'POST');
+    assert.strictEqual(JSON.parse(deliveries[0].body).id, eventId);
+  });
+});